@@ -1,4 +1,61 @@
-const http = require('http');
+const LbslmClient = require('./client');
+const { isTransient } = LbslmClient;
+const { NetworkError } = require('./errors');
+const TimerManager = require('./timers');
+const intensity = require('./intensity');
+const OilHistory = require('./oil');
+const { mistingState, activeTimer, formatTime, parseTime } = require('./misting');
+
+// Fields pollStatus reads from /amosFragrance.do; the batch device list may carry only some of them.
+const STATUS_FIELDS = ['status', 'liquidLevel', 'lockMark', 'run'];
+// In batch polling, timers are re-read at most this often (the list call has no timer data).
+const TIMER_REFRESH_MS = 5 * 60 * 1000;
+const BATCH_POLL_JOB = 'batch';
+// Primary service for each `serviceType`: the characteristics carrying power and intensity,
+// whether the child lock fits on it (otherwise it gets a "Child Lock" switch of its own), and
+// the extra characteristics HomeKit requires. `state`
+// reports `on` while misting and `idle` while on but resting between bursts.
+const SERVICE_TYPES = {
+  fan: { service: 'Fan', power: 'On', intensity: 'RotationSpeed', lock: true },
+  airPurifier: {
+    service: 'AirPurifier',
+    power: 'Active',
+    intensity: 'RotationSpeed',
+    lock: true,
+    state: { characteristic: 'CurrentAirPurifierState', on: 'PURIFYING_AIR', idle: 'IDLE', off: 'INACTIVE' },
+    target: { characteristic: 'TargetAirPurifierState', value: 'MANUAL' },
+    // The Home app shows a linked Filter Maintenance service inside the purifier tile.
+    linkFilter: true
+  },
+  humidifier: {
+    service: 'HumidifierDehumidifier',
+    power: 'Active',
+    intensity: 'RotationSpeed',
+    lock: true,
+    state: { characteristic: 'CurrentHumidifierDehumidifierState', on: 'HUMIDIFYING', idle: 'IDLE', off: 'INACTIVE' },
+    target: { characteristic: 'TargetHumidifierDehumidifierState', value: 'HUMIDIFIER' },
+    // Required, but the diffuser has no humidity sensor; the oil level is shown as the water level.
+    humidity: true,
+    waterLevel: true
+  },
+  switch: { service: 'Switch', power: 'On', intensity: null, lock: false },
+  lightbulb: { service: 'Lightbulb', power: 'On', intensity: 'Brightness', lock: false }
+};
+// Refill log entries kept per device.
+const MAX_REFILLS = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+// Longest schedule override (config `scheduleOverrideMinutes`), well short of a full day so the
+// moved window's stop never wraps round to its start.
+const MAX_OVERRIDE_MINUTES = 12 * 60;
+// Service types for the optional Low Oil sensor (config `lowOilSensor`), with the values
+// reported while oil is low and while it is fine.
+const LOW_OIL_SENSORS = {
+  leak: { service: 'LeakSensor', characteristic: 'LeakDetected', low: 'LEAK_DETECTED', ok: 'LEAK_NOT_DETECTED' },
+  contact: { service: 'ContactSensor', characteristic: 'ContactSensorState', low: 'CONTACT_NOT_DETECTED', ok: 'CONTACT_DETECTED' },
+  occupancy: { service: 'OccupancySensor', characteristic: 'OccupancyDetected', low: 'OCCUPANCY_DETECTED', ok: 'OCCUPANCY_NOT_DETECTED' }
+};
 
 class DiffuserAccessory {
   constructor(platform, accessory, config) {
@@ -9,99 +66,254 @@ class DiffuserAccessory {
 
     // Cloud Config
     this.nid = config.nid;
-    this.token = config.token;
-    this.username = config.username;
-    // Generic App ID verified from LBSLM cloud traffic analysis.
-    this.appid = config.appid || '19987617';
-    this.uid = config.uid;
-    this.sessionId = config.sessionId;
     this.isOn = false;
+    // Whether the diffuser is spraying right now, as opposed to on but resting between bursts or
+    // waiting for a timer window. The cloud doesn't report it, so it is worked out from the timers.
+    this.misting = false;
+    this.mistingTimeout = null;
+    // Set while the cloud cannot be reached (after retries), so reads report No Response instead of stale state.
+    this.unreachable = false;
+    // Cached accessory bound before discovery reached the cloud. It has no session, so it does
+    // not poll and reports No Response until the platform replaces it with a connected handler.
+    this.offline = config.offline === true;
+
+    // The platform passes its shared Session; a standalone config carries token/uid/sessionId itself.
+    const session = config.session || { token: config.token, uid: config.uid, sessionId: config.sessionId };
 
-    if (!this.token || !this.nid || !this.sessionId) {
+    if (!this.offline && (!session.token || !this.nid || !session.sessionId)) {
       this.log.error('Initialization failed: Cloud credentials missing. Auto-Discovery may have returned incomplete data.');
     }
 
-    // Base URL components
-    this.hostname = 'amos.us.lbslm.com';
-    this.basePath = '/amosFragrance';
-
-    // Headers setup
-    this.headers = {
-      'Host': 'amos.us.lbslm.com',
-      'Accept': '*/*',
-      'User-Agent': 'UPerfume/2.1.5 (iPhone; iOS 26.3; Scale/3.00)',
-      'Accept-Language': 'en-US;q=1',
-      'Connection': 'keep-alive',
-      'Cookie': `appid=${this.appid};uid=${this.uid};token=${this.token};SESSIONID=${this.sessionId};username=${this.username}`
+    // Device commands go to the host resolved at login, else the region / customHost.
+    this.client = new LbslmClient(this.log, {
+      host: config.host,
+      port: config.port,
+      region: config.region,
+      customHost: config.customHost,
+      protocol: config.protocol,
+      ca: config.ca,
+      rejectUnauthorized: config.rejectUnauthorized,
+      // Seconds in config; reads are retried on transient failures, writes only with retryWrites.
+      deviceTimeout: Number.isFinite(config.requestTimeout) ? config.requestTimeout * 1000 : undefined,
+      retries: config.requestRetries,
+      retryWrites: config.retryWrites,
+      credentials: {
+        // Generic App ID verified from LBSLM cloud traffic analysis.
+        appid: config.appid || '19987617',
+        username: config.username
+      },
+      session,
+      onAuthExpired: () => this.platform.refreshSession()
+    });
+    // Follow the platform's session, so a login or refresh triggered by any accessory applies here too.
+    this.onSessionChanged = (shared) => {
+      this.client.session = shared;
     };
+    this.platform.on('sessionChanged', this.onSessionChanged);
+
+    // Current scent, shown as the Model. A per-device `scent` overrides the cloud's oilName.
+    this.scent = config.scent || config.oilName || null;
 
     // Update Accessory Information
     this.accessory.getService(this.platform.api.hap.Service.AccessoryInformation)
       .setCharacteristic(this.platform.api.hap.Characteristic.Manufacturer, "Guangzhou You'an Information Technology Co., Ltd.")
-      .setCharacteristic(this.platform.api.hap.Characteristic.Model, this.config.oilName ? `Scent: ${this.config.oilName}` : 'Smart Diffuser')
+      .setCharacteristic(this.platform.api.hap.Characteristic.Model, this.modelName())
       .setCharacteristic(this.platform.api.hap.Characteristic.SerialNumber, this.config.hsn || this.config.nid)
       .setCharacteristic(this.platform.api.hap.Characteristic.Name, this.config.name);
 
     // Services Setup
-    this.service = this.accessory.getService(this.platform.api.hap.Service.Fan) ||
-      this.accessory.addService(this.platform.api.hap.Service.Fan);
-
-
+    // Primary service per `serviceType`. Primaries have no subtype, so the Refill Oil and timer
+    // switches are never mistaken for one; a cached primary of another type is removed.
+    this.serviceType = SERVICE_TYPES[config.serviceType] ? config.serviceType : 'fan';
+    this.profile = SERVICE_TYPES[this.serviceType];
+    const PrimaryService = this.platform.api.hap.Service[this.profile.service];
+    for (const [type, profile] of Object.entries(SERVICE_TYPES)) {
+      const cached = type !== this.serviceType && this.accessory.getServiceById(this.platform.api.hap.Service[profile.service], undefined);
+      if (cached) {
+        this.log.info(`Replacing the cached ${profile.service} service with ${this.profile.service} for ${config.name}.`);
+        this.accessory.removeService(cached);
+      }
+    }
+    this.service = this.accessory.getServiceById(PrimaryService, undefined) || this.accessory.addService(PrimaryService);
+    this.powerCharacteristic = this.platform.api.hap.Characteristic[this.profile.power];
+    this.intensityCharacteristic = this.profile.intensity ? this.platform.api.hap.Characteristic[this.profile.intensity] : null;
 
+    // Optional services can be turned off per device (config `devices`); cached ones are removed.
+    this.lockEnabled = config.lockControl !== false;
+    // Unlocks from HomeKit last this many days (0: until locked again). When a timed unlock ends
+    // and the device still reports unlocked, the plugin locks it again unless relockAfterUnlock is false.
+    this.unlockDays = Number.isInteger(config.unlockDays) && config.unlockDays > 0 ? config.unlockDays : 0;
+    this.relockAfterUnlock = config.relockAfterUnlock !== false;
+    this.relocking = false;
+    // Remaining unlock period as last logged, so it is logged again only when it changes.
+    this.unlockRemainingText = null;
+    // Turning on from HomeKit outside every timer window moves a timer's window to start now for
+    // this many minutes, then puts it back (0: off). The original window is kept in the
+    // accessory context (`scheduleOverride`) so it is restored after a restart too.
+    this.overrideMinutes = Number.isInteger(config.scheduleOverrideMinutes) && config.scheduleOverrideMinutes > 0
+      ? Math.min(config.scheduleOverrideMinutes, MAX_OVERRIDE_MINUTES)
+      : 0;
+    this.overrideTimeout = null;
+    this.overrideEnding = false;
+    // Queue of override starts and ends; each waits for the one before it.
+    this.overrideUpdate = Promise.resolve();
+    this.lowOilThreshold = Number.isFinite(config.lowOilThreshold) ? config.lowOilThreshold : 10;
 
-    // Child Lock
-    if (!this.service.testCharacteristic(this.platform.api.hap.Characteristic.LockPhysicalControls)) {
-      this.service.addCharacteristic(this.platform.api.hap.Characteristic.LockPhysicalControls);
+    // Child Lock: Lock Physical Controls on the primary service, or for Switch and Lightbulb
+    // primaries (which have no such characteristic) a "Child Lock" switch that is on while locked.
+    const hasLock = this.service.testCharacteristic(this.platform.api.hap.Characteristic.LockPhysicalControls);
+    const existingLockSwitch = this.accessory.getService('Child Lock');
+    this.lockService = null;
+    this.lockCharacteristic = null;
+    if (this.lockEnabled && this.profile.lock) {
+      if (!hasLock) {
+        this.service.addCharacteristic(this.platform.api.hap.Characteristic.LockPhysicalControls);
+      }
+      this.lockService = this.service;
+      this.lockCharacteristic = this.platform.api.hap.Characteristic.LockPhysicalControls;
+    } else if (hasLock) {
+      this.service.removeCharacteristic(this.service.getCharacteristic(this.platform.api.hap.Characteristic.LockPhysicalControls));
+    }
+    if (this.lockEnabled && !this.profile.lock) {
+      this.lockService = existingLockSwitch ||
+        this.accessory.addService(this.platform.api.hap.Service.Switch, 'Child Lock', 'child-lock');
+      this.lockCharacteristic = this.platform.api.hap.Characteristic.On;
+    } else if (existingLockSwitch) {
+      this.accessory.removeService(existingLockSwitch);
+    }
+    if (this.lockService) {
+      this.lockService.getCharacteristic(this.lockCharacteristic)
+        .onSet(this.setLock.bind(this));
     }
 
-    this.service.getCharacteristic(this.platform.api.hap.Characteristic.LockPhysicalControls)
-      .onSet(this.setLock.bind(this));
-
-    this.lockService = this.service; // Alias for consistency
     // Reset Switch (Workaround for hidden native Reset button)
     // Using a clear "Switch" service ensures it appears in the UI.
-    this.resetSwitch = this.accessory.getService('Refill Oil') ||
-      this.accessory.addService(this.platform.api.hap.Service.Switch, 'Refill Oil', 'refill-oil-switch');
+    const existingReset = this.accessory.getService('Refill Oil');
+    if (config.refillSwitch !== false) {
+      this.resetSwitch = existingReset ||
+        this.accessory.addService(this.platform.api.hap.Service.Switch, 'Refill Oil', 'refill-oil-switch');
 
-    this.resetSwitch.getCharacteristic(this.platform.api.hap.Characteristic.On)
-      .onGet(() => false) // Always off by default
-      .onSet(async (value) => {
-        if (value) {
-          await this.resetFilter();
-          // Reset switch to off after a short delay (momentary)
-          setTimeout(() => {
-            this.resetSwitch.updateCharacteristic(this.platform.api.hap.Characteristic.On, false);
-          }, 1000);
-        }
-      });
+      this.bindMomentarySwitch(this.resetSwitch, () => this.resetFilter());
+    } else if (existingReset) {
+      this.accessory.removeService(existingReset);
+    }
+
+    // Partial refill switches ("Refill 50%"), one per level in config `refillLevels`.
+    this.syncRefillLevelSwitches(config.refillLevels);
 
     // Filter Service (Oil Level)
-    this.filterService = this.accessory.getService(this.platform.api.hap.Service.FilterMaintenance) ||
-      this.accessory.addService(this.platform.api.hap.Service.FilterMaintenance);
-
-    this.filterService.getCharacteristic(this.platform.api.hap.Characteristic.FilterChangeIndication)
-      .onGet(async () => {
-        const level = await this.getOilLevel();
-        return level < 10 ? this.platform.api.hap.Characteristic.FilterChangeIndication.CHANGE_FILTER
-          : this.platform.api.hap.Characteristic.FilterChangeIndication.FILTER_OK;
-      });
+    const existingFilter = this.accessory.getService(this.platform.api.hap.Service.FilterMaintenance);
+    if (config.oilSensor !== false) {
+      this.filterService = existingFilter ||
+        this.accessory.addService(this.platform.api.hap.Service.FilterMaintenance);
+
+      this.filterService.getCharacteristic(this.platform.api.hap.Characteristic.FilterChangeIndication)
+        .onGet(() => this.filterChangeIndication());
+
+      this.filterService.getCharacteristic(this.platform.api.hap.Characteristic.FilterLifeLevel)
+        .onGet(this.getOilLevel.bind(this));
+
+      this.filterService.getCharacteristic(this.platform.api.hap.Characteristic.ResetFilterIndication)
+        .onSet(this.resetFilter.bind(this));
+    } else {
+      this.filterService = null;
+      if (existingFilter) {
+        this.accessory.removeService(existingFilter);
+      }
+    }
 
-    this.filterService.getCharacteristic(this.platform.api.hap.Characteristic.FilterLifeLevel)
-      .onGet(this.getOilLevel.bind(this));
+    // Low Oil sensor, flipped with the low-oil warning so automations and notifications can fire
+    // on it. A cached sensor of another type (or any, when turned off) is removed.
+    this.lowOilSensor = LOW_OIL_SENSORS[config.lowOilSensor] || null;
+    const LowOilService = this.lowOilSensor ? this.platform.api.hap.Service[this.lowOilSensor.service] : null;
+    let existingLowOil = this.accessory.getService('Low Oil');
+    if (existingLowOil && (!LowOilService || existingLowOil.UUID !== LowOilService.UUID)) {
+      this.accessory.removeService(existingLowOil);
+      existingLowOil = null;
+    }
+    if (LowOilService) {
+      this.lowOilService = existingLowOil || this.accessory.addService(LowOilService, 'Low Oil', 'low-oil');
 
-    this.filterService.getCharacteristic(this.platform.api.hap.Characteristic.ResetFilterIndication)
-      .onSet(this.resetFilter.bind(this));
+      this.lowOilService.getCharacteristic(this.platform.api.hap.Characteristic[this.lowOilSensor.characteristic])
+        .onGet(() => this.lowOilSensorState());
+    } else {
+      this.lowOilService = null;
+    }
 
     this.oilLevel = 100; // Cache
+    this.oilLowWarned = false;
+
+    // Oil consumption history and the days-remaining estimate, optionally shown as a light
+    // sensor (lux = days) since HomeKit has no service for it.
+    this.oilHistory = new OilHistory();
+    this.oilDaysRemaining = this.accessory.context.oil ? this.accessory.context.oil.daysRemaining : null;
+    const existingForecast = this.accessory.getService('Oil Days Remaining');
+    if (config.oilForecastSensor === true) {
+      this.oilForecastService = existingForecast ||
+        this.accessory.addService(this.platform.api.hap.Service.LightSensor, 'Oil Days Remaining', 'oil-days-remaining');
+
+      this.oilForecastService.getCharacteristic(this.platform.api.hap.Characteristic.CurrentAmbientLightLevel)
+        .onGet(() => this.oilForecastLevel());
+    } else {
+      this.oilForecastService = null;
+      if (existingForecast) {
+        this.accessory.removeService(existingForecast);
+      }
+    }
+    // Optional "Misting" motion sensor, detected while the diffuser sprays, for automations that
+    // should follow the bursts rather than the power state.
+    const existingMisting = this.accessory.getService('Misting');
+    if (config.mistingSensor === true) {
+      this.mistingService = existingMisting ||
+        this.accessory.addService(this.platform.api.hap.Service.MotionSensor, 'Misting', 'misting');
+
+      this.mistingService.getCharacteristic(this.platform.api.hap.Characteristic.MotionDetected)
+        .onGet(() => this.misting);
+    } else {
+      this.mistingService = null;
+      if (existingMisting) {
+        this.accessory.removeService(existingMisting);
+      }
+    }
+
+    this.platform.loadDeviceRecords('oil', this.nid).then(samples => this.oilHistory.restore(samples));
+
+    // One entry per fill of the tank ({ at, scent, level, lastedDays, leftover }), added by the refill switches.
+    this.refills = [];
+    this.platform.loadDeviceRecords('refills', this.nid).then(refills => {
+      this.refills = refills.concat(this.refills).slice(-MAX_REFILLS);
+    });
 
     // Poll status periodically to maintain synchronization with physical device state.
-    this.service.getCharacteristic(this.platform.api.hap.Characteristic.On)
+    this.service.getCharacteristic(this.powerCharacteristic)
       .onSet(this.setOn.bind(this))
       .onGet(this.getOn.bind(this));
 
-    this.service.getCharacteristic(this.platform.api.hap.Characteristic.RotationSpeed)
-      .onSet(this.setRotationSpeed.bind(this))
-      .onGet(this.getRotationSpeed.bind(this));
+    if (this.intensityCharacteristic) {
+      this.service.getCharacteristic(this.intensityCharacteristic)
+        .onSet(this.setRotationSpeed.bind(this))
+        .onGet(this.getRotationSpeed.bind(this));
+    }
+    this.setupServiceTypeCharacteristics();
+
+    // runTime: slider moves `run` only. dutyCycle: slider moves run and suspend together.
+    this.intensityProfile = intensity.PROFILES.includes(config.intensityProfile) ? config.intensityProfile : 'runTime';
+
+    // Pause Interval (timer `suspend`), exposed as a secondary Fan so it gets its own slider.
+    const existingPause = this.accessory.getService('Pause Interval');
+    if (config.pauseControl !== false) {
+      this.pauseService = existingPause ||
+        this.accessory.addService(this.platform.api.hap.Service.Fan, 'Pause Interval', 'pause-interval');
+
+      this.pauseService.getCharacteristic(this.platform.api.hap.Characteristic.On)
+        .onGet(() => true); // The slider is what matters; the switch has no cloud equivalent.
+
+      this.pauseService.getCharacteristic(this.platform.api.hap.Characteristic.RotationSpeed)
+        .onSet(this.setPauseInterval.bind(this))
+        .onGet(this.getPauseInterval.bind(this));
+    } else if (existingPause) {
+      this.accessory.removeService(existingPause);
+    }
 
     // Optional: Mist Level (RotationSpeed) if we find the command later
     // this.service.getCharacteristic(this.platform.api.hap.Characteristic.RotationSpeed) ...
@@ -109,8 +321,51 @@ class DiffuserAccessory {
     // Poll status periodically to maintain synchronization with physical device state.
     this.oilLevel = 100;
     this.timerCache = null;
+    // Every timer from /timerList.do is surfaced as its own Switch service (subtype timer-<timerId>).
+    this.timers = [];
+    this.timerManager = new TimerManager(this.log, this._callApi.bind(this));
+    // Configured schedules are reconciled once, on the first timer sync.
+    this.schedulesReconciled = !(this.config.schedules && this.config.schedules.length);
+    this.timersSyncedAt = 0;
+    if (this.offline) {
+      this.markUnreachable();
+      return;
+    }
     this.pollStatus();
-    setInterval(() => this.pollStatus(), 30000);
+    this.refreshTimers();
+    // Subsequent polls are driven by the platform scheduler (interval, backoff, jitter).
+    // In batch mode the platform refreshes every device from one list call instead.
+    if (config.batchPolling) {
+      this.pollJobId = BATCH_POLL_JOB;
+    } else {
+      this.pollJobId = this.nid;
+      this.platform.poller.add(this.nid, () => this.poll(), {
+        interval: config.pollInterval ? config.pollInterval * 1000 : undefined
+      });
+    }
+  }
+
+  // Stops polling and session updates once the platform replaces or removes this handler.
+  dispose() {
+    this.platform.removeListener('sessionChanged', this.onSessionChanged);
+    clearTimeout(this.mistingTimeout);
+    clearTimeout(this.overrideTimeout);
+    if (this.pollJobId === this.nid) {
+      this.platform.poller.remove(this.nid);
+    }
+  }
+
+  async poll() {
+    const ok = await this.pollStatus();
+    await this.refreshTimersIfStale();
+    return ok;
+  }
+
+  // Poll faster for a short while so HomeKit picks up the device's response to a write, and
+  // re-read the timers on the next poll as the write may have changed them.
+  _afterWrite() {
+    this.timersSyncedAt = 0;
+    this.platform.poller.boost(this.pollJobId);
   }
 
   async setRotationSpeed(value) {
@@ -120,13 +375,18 @@ class DiffuserAccessory {
       return;
     }
 
-    // Map 0-100% HomeKit RotationSpeed to 5-300s Run time.
+    // Map 0-100% HomeKit RotationSpeed onto the timer according to the intensity profile.
     // Device minimum run time is 5s.
-    let runTime = Math.max(5, Math.round(value * 3));
+    const settings = intensity.toTimerSettings(value, this.intensityProfile);
 
-    this.log.info(`Setting Intensity (Run Time) to: ${runTime}s (${value}%)`);
+    if (settings.suspend !== undefined) {
+      this.log.info(`Setting Intensity to: ${settings.run}s on / ${settings.suspend}s off (${value}%)`);
+    } else {
+      this.log.info(`Setting Intensity (Run Time) to: ${settings.run}s (${value}%)`);
+    }
     try {
-      await this.updateTimerIntensity(runTime);
+      await this.updateTimerIntensity(settings);
+      this._afterWrite();
     } catch (e) {
       this.log.error('Failed to set intensity:', e.message);
       throw new this.platform.api.hap.HapStatusError(this.platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
@@ -135,44 +395,197 @@ class DiffuserAccessory {
 
   async getRotationSpeed() {
     if (this.timerCache) {
-      const run = this.timerCache.run || 0;
-      return Math.min(100, Math.round(run / 3));
+      return intensity.toPercent(this.timerCache, this.intensityProfile);
     }
     return 50; // Default
   }
 
-  async updateTimerIntensity(newRunTime) {
-    // 1. Get current timer (or use cache if fresh)
+  async setPauseInterval(value) {
+    const suspend = intensity.suspendFromPercent(value);
+
+    this.log.info(`Setting Pause Interval (Suspend) to: ${suspend}s (${value}%)`);
+    try {
+      await this.updateTimerIntensity({ suspend });
+      this._afterWrite();
+    } catch (e) {
+      this.log.error('Failed to set pause interval:', e.message);
+      throw new this.platform.api.hap.HapStatusError(this.platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+    }
+  }
+
+  async getPauseInterval() {
+    if (this.timerCache && this.timerCache.suspend !== undefined) {
+      return intensity.suspendToPercent(this.timerCache.suspend);
+    }
+    return 20; // Default (120s)
+  }
+
+  // Applies run and/or suspend changes to the first timer, preserving everything else.
+  async updateTimerIntensity(settings) {
     // 1. Get current timer (or use cache if fresh)
-    let listJson;
+    let timers;
     try {
-      listJson = await this._callApi('/timerList.do', { isBluetooth: 0 });
+      timers = await this.timerManager.list();
     } catch (error) {
       this.log.warn("Failed to fetch timer list, cannot set intensity: " + error.message);
       throw error;
     }
-    if (!listJson || !listJson.data || !listJson.data.length) {
+    if (!timers.length) {
       throw new Error('No timers found to update intensity');
     }
 
-    const timer = listJson.data[0];
+    const timer = timers[0];
     this.timerCache = timer; // Update cache
 
     // 2. Update it
-    // Preserve existing suspend time to respect user configuration.
+    // Fields not in `settings` (e.g. suspend in the runTime profile) keep their configured values.
+    await this.timerManager.update(timer, settings);
+    Object.assign(timer, settings);
+  }
 
-    const params = {
-      timerId: timer.timerId,
-      uid: timer.uid,
-      name: timer.name,
-      start: timer.start,
-      stop: timer.stop,
-      mode: timer.mode,
-      run: newRunTime,
-      suspend: timer.suspend // Keep existing suspend
-    };
+  async refreshTimers() {
+    try {
+      if (!this.schedulesReconciled) {
+        const result = await this.timerManager.reconcile(this.config.schedules, { prune: this.config.pruneSchedules });
+        this.log.info(`Schedules applied: ${result.created} created, ${result.updated} updated, ${result.deleted} deleted, ${result.failed} failed`);
+        this.schedulesReconciled = true;
+      }
+      this.timers = await this.timerManager.list();
+    } catch (e) {
+      this.log.debug('Timer sync failed:', e.message);
+      return;
+    }
 
-    await this._callApi('/updateTimer.do', params);
+    if (this.timers.length) {
+      this.timerCache = this.timers[0];
+    }
+    this.timersSyncedAt = Date.now();
+    this.syncTimerServices();
+    this.updateMisting();
+    this.checkScheduleOverride();
+  }
+
+  async refreshTimersIfStale() {
+    if (Date.now() - this.timersSyncedAt >= TIMER_REFRESH_MS) {
+      await this.refreshTimers();
+    }
+  }
+
+  // One Fan per timer (enabled, run time slider) and, like the main Pause Interval, a second
+  // Fan for its suspend time. Fans rather than Switches, as the Home app only shows a slider
+  // on a Fan.
+  syncTimerServices() {
+    const Service = this.platform.api.hap.Service;
+    const Characteristic = this.platform.api.hap.Characteristic;
+    const wanted = new Set();
+    for (const timer of this.timers) {
+      wanted.add(`timer-${timer.timerId}`);
+      if (this.pauseService) {
+        wanted.add(`timer-${timer.timerId}-pause`);
+      }
+    }
+
+    // Drop services for timers that were deleted in the app, and the Switches used before.
+    const stale = this.accessory.services.filter(s => s.subtype && s.subtype.startsWith('timer-') &&
+      (!wanted.has(s.subtype) || s.UUID !== Service.Fan.UUID));
+    for (const service of stale) {
+      this.log.info(`Removing timer service: ${service.displayName}`);
+      this.accessory.removeService(service);
+    }
+
+    for (const timer of this.timers) {
+      const name = timer.name || `Timer ${timer.timerId}`;
+      const service = this.timerService(`timer-${timer.timerId}`, name);
+
+      // Handlers look the timer up by id so they always act on the latest cloud copy.
+      service.getCharacteristic(Characteristic.On)
+        .onSet(value => this.setTimerEnabled(timer.timerId, value));
+      service.getCharacteristic(Characteristic.RotationSpeed)
+        .onSet(value => this.setTimerIntensity(timer.timerId, value));
+
+      service.updateCharacteristic(Characteristic.Name, name);
+      service.updateCharacteristic(Characteristic.On, TimerManager.isEnabled(timer));
+      service.updateCharacteristic(Characteristic.RotationSpeed, intensity.toPercent(timer, this.intensityProfile));
+
+      if (this.pauseService) {
+        const pause = this.timerService(`timer-${timer.timerId}-pause`, `${name} Pause`);
+        pause.getCharacteristic(Characteristic.On)
+          .onGet(() => true); // As for Pause Interval, only the slider has a cloud equivalent.
+        pause.getCharacteristic(Characteristic.RotationSpeed)
+          .onSet(value => this.setTimerPause(timer.timerId, value));
+
+        pause.updateCharacteristic(Characteristic.Name, `${name} Pause`);
+        pause.updateCharacteristic(Characteristic.RotationSpeed, intensity.suspendToPercent(timer.suspend));
+      }
+    }
+  }
+
+  timerService(subtype, name) {
+    const Service = this.platform.api.hap.Service;
+    let service = this.accessory.getServiceById(Service.Fan, subtype);
+    if (!service) {
+      this.log.info(`Adding timer service: ${name}`);
+      service = this.accessory.addService(Service.Fan, name, subtype);
+    }
+    return service;
+  }
+
+  _findTimer(timerId) {
+    const timer = this.timers.find(t => t.timerId === timerId);
+    if (!timer) {
+      throw new Error(`Timer ${timerId} no longer exists`);
+    }
+    return timer;
+  }
+
+  async setTimerEnabled(timerId, value) {
+    try {
+      const timer = this._findTimer(timerId);
+      this.log.info(`Setting timer "${timer.name}" to: ${value ? 'ENABLED' : 'DISABLED'}`);
+      await this.timerManager.update(timer, { status: value ? 1 : 0 });
+      timer.status = value ? 1 : 0;
+      this.updateMisting();
+      this._afterWrite();
+    } catch (e) {
+      this.log.error('Failed to update timer:', e.message);
+      throw new this.platform.api.hap.HapStatusError(this.platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+    }
+  }
+
+  async setTimerIntensity(timerId, value) {
+    if (value === 0) {
+      return;
+    }
+    const settings = intensity.toTimerSettings(value, this.intensityProfile);
+
+    try {
+      const timer = this._findTimer(timerId);
+      const suspendNote = settings.suspend !== undefined ? `, Suspend ${settings.suspend}s` : '';
+      this.log.info(`Setting timer "${timer.name}" to: Run ${settings.run}s${suspendNote} (${value}%)`);
+      await this.timerManager.update(timer, settings);
+      Object.assign(timer, settings);
+      this.updateMisting();
+      this._afterWrite();
+    } catch (e) {
+      this.log.error('Failed to update timer:', e.message);
+      throw new this.platform.api.hap.HapStatusError(this.platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+    }
+  }
+
+  async setTimerPause(timerId, value) {
+    const suspend = intensity.suspendFromPercent(value);
+
+    try {
+      const timer = this._findTimer(timerId);
+      this.log.info(`Setting timer "${timer.name}" to: Suspend ${suspend}s (${value}%)`);
+      await this.timerManager.update(timer, { suspend });
+      timer.suspend = suspend;
+      this.updateMisting();
+      this._afterWrite();
+    } catch (e) {
+      this.log.error('Failed to update timer:', e.message);
+      throw new this.platform.api.hap.HapStatusError(this.platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+    }
   }
 
   async setLock(value) {
@@ -183,133 +596,481 @@ class DiffuserAccessory {
         // Lock: /admin/amos/deviceLock.do
         await this._callApi('/admin/amos/deviceLock.do');
       } else {
-        // Unlock: /admin/amos/deviceUnlock.do?days=0&name=
-        await this._callApi('/admin/amos/deviceUnlock.do', { days: 0, name: '' });
+        // Unlock: /admin/amos/deviceUnlock.do?days=N&name= (days=0 unlocks until locked again)
+        await this._callApi('/admin/amos/deviceUnlock.do', { days: this.unlockDays, name: '' });
       }
+      this.setUnlockUntil(value || !this.unlockDays ? null : Date.now() + this.unlockDays * DAY_MS);
 
-      // Optimistically update cache or poll
-      setTimeout(() => this.pollStatus(), 1000);
+      this._afterWrite();
     } catch (error) {
       this.log.error('Failed to set Lock:', error.message);
       this.log.warn('Reverting Lock usage due to API failure.');
       setTimeout(() => {
-        this.service.updateCharacteristic(this.platform.api.hap.Characteristic.LockPhysicalControls, !value ? 1 : 0);
+        this.lockService.updateCharacteristic(this.lockCharacteristic, this.lockValue(!value));
       }, 500);
       throw new this.platform.api.hap.HapStatusError(this.platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
+  // Lock state as the lock characteristic expects it: Lock Physical Controls is 1/0, the Child
+  // Lock switch a boolean.
+  lockValue(locked) {
+    if (this.lockCharacteristic === this.platform.api.hap.Characteristic.On) {
+      return Boolean(locked);
+    }
+    const LockPhysicalControls = this.platform.api.hap.Characteristic.LockPhysicalControls;
+    return locked ? LockPhysicalControls.CONTROL_LOCK_ENABLED : LockPhysicalControls.CONTROL_LOCK_DISABLED;
+  }
+
+  // Remembers when a timed unlock ends, in the accessory context so it survives restarts.
+  setUnlockUntil(until) {
+    if ((this.accessory.context.unlockUntil || null) === until) {
+      return;
+    }
+    this.unlockRemainingText = null;
+    if (until) {
+      this.accessory.context.unlockUntil = until;
+      this.log.info(`${this.config.name}: unlocked for ${this.unlockDays} day(s), until ${new Date(until).toLocaleString()}.`);
+    } else {
+      delete this.accessory.context.unlockUntil;
+    }
+    this.platform.api.updatePlatformAccessories([this.accessory]);
+  }
+
+  // Milliseconds left of a timed unlock, or null if there is none. The cloud status has no field
+  // for it, so this comes from the end saved when the unlock was sent.
+  unlockRemaining() {
+    const until = this.accessory.context.unlockUntil;
+    return until ? Math.max(0, until - Date.now()) : null;
+  }
+
+  // Called with each lock status from the cloud: forgets a timed unlock once the device is
+  // locked again, and locks it when the unlock period is over but the cloud hasn't.
+  checkUnlockPeriod(locked) {
+    const remaining = this.unlockRemaining();
+    if (remaining === null) {
+      return;
+    }
+    if (locked) {
+      this.setUnlockUntil(null);
+      return;
+    }
+    if (remaining > 0) {
+      // Whole days, then whole hours in the last day.
+      const text = remaining > DAY_MS ? `${Math.ceil(remaining / DAY_MS)} day(s)` : `${Math.ceil(remaining / HOUR_MS)} hour(s)`;
+      if (text !== this.unlockRemainingText) {
+        this.unlockRemainingText = text;
+        this.log.info(`${this.config.name}: unlocked for another ${text}.`);
+      }
+      return;
+    }
+    if (!this.relockAfterUnlock || this.relocking) {
+      return;
+    }
+    this.log.info(`${this.config.name}: unlock period is over; locking again.`);
+    this.relocking = true;
+    this.setLock(1)
+      .then(() => {
+        this.lockService.updateCharacteristic(this.lockCharacteristic, this.lockValue(true));
+      })
+      .catch(() => { }) // Logged by setLock; retried on the next poll.
+      .finally(() => {
+        this.relocking = false;
+      });
+  }
+
+  // Characteristics that only some service types have: the purifier/humidifier state pair,
+  // the humidifier's required humidity reading and its water level (the oil level).
+  setupServiceTypeCharacteristics() {
+    const Characteristic = this.platform.api.hap.Characteristic;
+    if (this.profile.state) {
+      this.service.getCharacteristic(Characteristic[this.profile.state.characteristic])
+        .onGet(() => this.currentStateValue());
+    }
+    if (this.profile.target) {
+      const target = Characteristic[this.profile.target.characteristic];
+      // Only one mode makes sense for a diffuser; other values are refused by HomeKit.
+      this.service.getCharacteristic(target)
+        .setProps({ validValues: [target[this.profile.target.value]] })
+        .onGet(() => target[this.profile.target.value])
+        .onSet(() => { });
+    }
+    if (this.profile.humidity) {
+      this.service.getCharacteristic(Characteristic.CurrentRelativeHumidity)
+        .onGet(() => 0);
+    }
+    if (this.profile.waterLevel) {
+      this.service.getCharacteristic(Characteristic.WaterLevel)
+        .onGet(this.getOilLevel.bind(this));
+    }
+    if (this.profile.linkFilter && this.filterService) {
+      this.service.addLinkedService(this.filterService);
+    }
+  }
+
+  // Power as the primary service expects it: On is a boolean, Active is 1/0.
+  powerValue() {
+    if (this.profile.power === 'Active') {
+      return this.isOn ? this.platform.api.hap.Characteristic.Active.ACTIVE : this.platform.api.hap.Characteristic.Active.INACTIVE;
+    }
+    return this.isOn;
+  }
+
+  currentStateValue() {
+    const characteristic = this.platform.api.hap.Characteristic[this.profile.state.characteristic];
+    if (!this.isOn) {
+      return characteristic[this.profile.state.off];
+    }
+    return this.misting ? characteristic[this.profile.state.on] : characteristic[this.profile.state.idle];
+  }
+
+  // Pushes power and the misting state that follows from it.
+  updatePower() {
+    this.service.updateCharacteristic(this.powerCharacteristic, this.powerValue());
+    this.updateMisting();
+  }
+
+  // Works out whether the diffuser is misting from its timers and pushes it to the purifier or
+  // humidifier state and the Misting sensor. While on, it runs again when the current burst or
+  // pause ends. Until the timers have been read, a diffuser that is on counts as misting.
+  updateMisting(now = Date.now()) {
+    clearTimeout(this.mistingTimeout);
+    this.mistingTimeout = null;
+    const state = this.timersSyncedAt ? mistingState(this.timers, now) : { misting: true, changesAt: null };
+    const misting = this.isOn && state.misting;
+    if (misting !== this.misting) {
+      this.log.debug(`${this.config.name} ${misting ? 'started' : 'stopped'} misting.`);
+      this.misting = misting;
+    }
+
+    if (this.profile.state) {
+      this.service.updateCharacteristic(this.platform.api.hap.Characteristic[this.profile.state.characteristic], this.currentStateValue());
+    }
+    if (this.mistingService) {
+      this.mistingService.updateCharacteristic(this.platform.api.hap.Characteristic.MotionDetected, misting);
+    }
+    if (this.isOn && state.changesAt !== null) {
+      this.mistingTimeout = setTimeout(() => this.updateMisting(), Math.max(1000, state.changesAt - now));
+    }
+  }
+
   async setOn(value) {
     this.log.info(`Setting state to: ${value ? 'ON' : 'OFF'}`);
     const endpoint = value ? '/openFragrance.do' : '/closeFragrance.do';
 
     try {
       await this._callApi(endpoint);
-      this.isOn = value;
+      this.isOn = Boolean(value);
+      this.updateMisting();
+      this._afterWrite();
     } catch (error) {
       this.log.error('Failed to set state:', error.message);
       throw new this.platform.api.hap.HapStatusError(this.platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
+
+    // Moving or restoring the timer takes more cloud calls (with retries), so it runs in the
+    // background rather than holding up HomeKit. The power change stands even if it fails.
+    this.queueScheduleOverride(() => value ? this.startScheduleOverride() : this.endScheduleOverride(),
+      'Failed to update the schedule override:');
+  }
+
+  // Runs an override start or end after the ones already queued, so an "off" right after an
+  // "on" only reads the timer back once the move has landed.
+  queueScheduleOverride(step, failure) {
+    this.overrideUpdate = this.overrideUpdate
+      .then(step)
+      .catch(e => this.log.error(failure, e.message));
+    return this.overrideUpdate;
+  }
+
+  // With `scheduleOverrideMinutes`, makes "on" take effect outside the schedule: unless a timer
+  // window is open for the whole override, the open timer (or else the first timer) is set to
+  // run from now for that long, and enabled. Its weekday `mode` is left as it is, as it isn't
+  // decoded. endScheduleOverride puts it back.
+  async startScheduleOverride(now = Date.now()) {
+    if (!this.overrideMinutes || this.accessory.context.scheduleOverride) {
+      return;
+    }
+    const timers = await this.timerManager.list();
+    const start = Math.floor(now / MINUTE_MS) * MINUTE_MS;
+    const until = start + this.overrideMinutes * MINUTE_MS;
+    const active = activeTimer(timers, now);
+    if (active && active.window.end >= until) {
+      return;
+    }
+    const timer = active ? active.timer : timers[0];
+    if (!timer) {
+      this.log.warn(`${this.config.name}: no timer to run outside the schedule; add one in the app.`);
+      return;
+    }
+
+    const changes = { start: formatTime(start), stop: formatTime(until), status: 1 };
+    this.log.info(`${this.config.name}: running timer "${timer.name}" ${changes.start}-${changes.stop}, ` +
+      `then restoring ${timer.start}-${timer.stop}.`);
+    // Saved before the write, so a restart part-way through still restores the timer.
+    this.accessory.context.scheduleOverride = {
+      timerId: timer.timerId,
+      start: timer.start,
+      stop: timer.stop,
+      status: TimerManager.isEnabled(timer) ? 1 : 0,
+      overrideStart: changes.start,
+      overrideStop: changes.stop,
+      until
+    };
+    this.platform.api.updatePlatformAccessories([this.accessory]);
+    try {
+      await this.timerManager.update(timer, changes);
+    } catch (e) {
+      this.clearScheduleOverride();
+      throw e;
+    }
+    Object.assign(timer, changes);
+
+    this.timers = timers;
+    this.timerCache = timers[0];
+    this.timersSyncedAt = Date.now();
+    this.syncTimerServices();
+    this.updateMisting();
+    this.checkScheduleOverride();
+  }
+
+  // Restores the timer moved by startScheduleOverride. A timer that was deleted or edited in
+  // the app since is left alone. Times are compared by value, as the cloud may echo "12:00"
+  // back as "12:00:00".
+  async endScheduleOverride() {
+    const override = this.accessory.context.scheduleOverride;
+    if (!override || this.overrideEnding) {
+      return;
+    }
+    clearTimeout(this.overrideTimeout);
+    this.overrideTimeout = null;
+    this.overrideEnding = true;
+    try {
+      const timers = await this.timerManager.list();
+      const timer = timers.find(t => t.timerId === override.timerId);
+      if (!timer) {
+        this.log.info(`${this.config.name}: the overridden timer no longer exists; nothing to restore.`);
+      } else if (parseTime(timer.start) !== parseTime(override.overrideStart) || parseTime(timer.stop) !== parseTime(override.overrideStop)) {
+        this.log.info(`${this.config.name}: timer "${timer.name}" was changed during the override; leaving it as is.`);
+      } else {
+        const original = { start: override.start, stop: override.stop, status: override.status };
+        this.log.info(`${this.config.name}: restoring timer "${timer.name}" to ${original.start}-${original.stop}.`);
+        await this.timerManager.update(timer, original);
+        Object.assign(timer, original);
+      }
+      this.clearScheduleOverride();
+
+      this.timers = timers;
+      if (timers.length) {
+        this.timerCache = timers[0];
+      }
+      this.timersSyncedAt = Date.now();
+      this.syncTimerServices();
+      this.updateMisting();
+    } finally {
+      this.overrideEnding = false;
+    }
+  }
+
+  clearScheduleOverride() {
+    delete this.accessory.context.scheduleOverride;
+    this.platform.api.updatePlatformAccessories([this.accessory]);
+  }
+
+  // Called after each timer sync: ends an override whose time is up (e.g. it ran out while
+  // Homebridge was down, or a restore failed) and otherwise arms the timeout that ends it.
+  checkScheduleOverride() {
+    const override = this.accessory.context.scheduleOverride;
+    if (!override || this.overrideEnding || this.overrideTimeout) {
+      return;
+    }
+    const end = () => this.queueScheduleOverride(() => this.endScheduleOverride(), 'Failed to restore the overridden timer:');
+    const remaining = override.until - Date.now();
+    if (remaining <= 0) {
+      end();
+      return;
+    }
+    this.overrideTimeout = setTimeout(() => {
+      this.overrideTimeout = null;
+      end();
+    }, remaining);
   }
 
   async getOn() {
-    return this.isOn;
+    if (this.unreachable) {
+      throw new this.platform.api.hap.HapStatusError(this.platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+    }
+    return this.powerValue();
+  }
+
+  async _callApi(path, params = {}) {
+    if (this.offline) {
+      throw new NetworkError('Not connected to the cloud yet');
+    }
+    return this.client.callDevice(this.nid, path, params);
+  }
+
+  async getOilLevel() {
+    return this.oilLevel || 0;
+  }
+
+  isOilLow() {
+    return this.oilLevel < this.lowOilThreshold;
   }
 
-  async _callApi(path, params = {}, retryCount = 0) {
-    return new Promise((resolve, reject) => {
-      const timestamp = Date.now() / 1000;
-      // Merge params with default query params
-      const queryParams = new URLSearchParams({
-        nid: this.nid,
-        timestamp: timestamp,
-        ...params
-      }).toString();
-
-      // Determine full path: if path starts with /admin, treat as root-relative. 
-      // Otherwise prepend basePath (/amosFragrance).
-      const resourcePath = path.startsWith('/admin') ? path : `${this.basePath}${path}`;
-
-      const options = {
-        hostname: this.hostname,
-        port: 80,
-        path: `${resourcePath}?${queryParams}`,
-        method: 'GET',
-        headers: {
-          ...this.headers,
-          'Cookie': `appid=${this.appid};uid=${this.uid};token=${this.token};SESSIONID=${this.sessionId};username=${this.username}`
+  filterChangeIndication() {
+    const FilterChangeIndication = this.platform.api.hap.Characteristic.FilterChangeIndication;
+    return this.isOilLow() ? FilterChangeIndication.CHANGE_FILTER : FilterChangeIndication.FILTER_OK;
+  }
+
+  lowOilSensorState() {
+    const characteristic = this.platform.api.hap.Characteristic[this.lowOilSensor.characteristic];
+    return this.isOilLow() ? characteristic[this.lowOilSensor.low] : characteristic[this.lowOilSensor.ok];
+  }
+
+  // Pushes the low-oil state with every reading; HomeKit only notifies on pushed changes, not
+  // on values it reads when the Home app happens to be open.
+  updateOilAlerts() {
+    if (this.filterService) {
+      this.filterService.updateCharacteristic(this.platform.api.hap.Characteristic.FilterChangeIndication, this.filterChangeIndication());
+    }
+    if (this.lowOilService) {
+      this.lowOilService.updateCharacteristic(this.platform.api.hap.Characteristic[this.lowOilSensor.characteristic], this.lowOilSensorState());
+    }
+
+    const low = this.isOilLow();
+    if (low && !this.oilLowWarned) {
+      this.log.warn(`${this.config.name}: oil is low (${this.oilLevel}%, threshold ${this.lowOilThreshold}%).`);
+    }
+    this.oilLowWarned = low;
+  }
+
+  // Days of oil left, as a light level: HomeKit's minimum (0.0001 lux) stands for none or unknown.
+  oilForecastLevel() {
+    return Math.max(0.0001, this.oilDaysRemaining || 0);
+  }
+
+  // Adds a level reading to the oil history (saving it when it changed) and publishes the
+  // days-remaining estimate. The accessory context is only rewritten when the whole-day figure changes.
+  trackOil(level, duty) {
+    if (this.oilHistory.record(level, { on: this.isOn, duty })) {
+      this.platform.saveDeviceRecords('oil', this.nid, this.oilHistory.samples);
+    }
+
+    const days = this.oilHistory.daysRemaining(level, duty);
+    this.oilDaysRemaining = days === null ? null : Math.round(days * 10) / 10;
+    if (this.oilForecastService) {
+      this.oilForecastService.updateCharacteristic(this.platform.api.hap.Characteristic.CurrentAmbientLightLevel, this.oilForecastLevel());
+    }
+
+    const wholeDays = days => (days === null ? null : Math.floor(days));
+    const previous = this.accessory.context.oil;
+    if (previous && wholeDays(previous.daysRemaining) === wholeDays(this.oilDaysRemaining)) {
+      return;
+    }
+    if (this.oilDaysRemaining !== null) {
+      this.log.info(`${this.config.name}: oil at ${level}%, about ${wholeDays(this.oilDaysRemaining)} day(s) remaining.`);
+    }
+    this.accessory.context.oil = { level, daysRemaining: this.oilDaysRemaining, estimatedAt: Date.now() };
+    this.platform.api.updatePlatformAccessories([this.accessory]);
+  }
+
+  modelName() {
+    return this.scent ? `Scent: ${this.scent}` : 'Smart Diffuser';
+  }
+
+  // Follows the scent reported by the cloud (e.g. changed in the app), unless config sets one.
+  updateScent(oilName) {
+    if (this.config.scent || !oilName || oilName === this.scent) {
+      return;
+    }
+    if (this.scent) {
+      this.log.info(`${this.config.name}: scent changed from ${this.scent} to ${oilName}.`);
+    }
+    this.scent = oilName;
+    this.accessory.getService(this.platform.api.hap.Service.AccessoryInformation)
+      .updateCharacteristic(this.platform.api.hap.Characteristic.Model, this.modelName());
+    if (this.accessory.context.device) {
+      this.accessory.context.device.oilName = oilName;
+      this.platform.api.updatePlatformAccessories([this.accessory]);
+    }
+  }
+
+  // Closes the current fill with how long it lasted and the oil left over, and starts a new one
+  // at `level` percent with the current scent.
+  logRefill(leftover, level) {
+    const now = Date.now();
+    const scentName = scent => scent || 'unknown scent';
+    const previous = this.refills[this.refills.length - 1];
+    if (previous) {
+      previous.lastedDays = Math.round((now - previous.at) / DAY_MS * 10) / 10;
+      previous.leftover = leftover;
+      this.log.info(`${this.config.name}: the previous fill (${scentName(previous.scent)}) lasted ${previous.lastedDays} day(s) with ${leftover}% left.`);
+    }
+    this.refills = this.refills.concat({ at: now, scent: this.scent, level }).slice(-MAX_REFILLS);
+    this.platform.saveDeviceRecords('refills', this.nid, this.refills);
+    this.log.info(`${this.config.name}: refill to ${level}% logged (${scentName(this.scent)}).`);
+  }
+
+  // Runs `action` when the switch is turned on, then turns the switch back off (momentary).
+  bindMomentarySwitch(service, action) {
+    service.getCharacteristic(this.platform.api.hap.Characteristic.On)
+      .onGet(() => false) // Always off by default
+      .onSet(async (value) => {
+        if (value) {
+          await action();
+          // Reset switch to off after a short delay (momentary)
+          setTimeout(() => {
+            service.updateCharacteristic(this.platform.api.hap.Characteristic.On, false);
+          }, 1000);
         }
-      };
-
-      const req = http.request(options, (res) => {
-        let data = '';
-        res.on('data', (chunk) => data += chunk);
-        res.on('end', async () => {
-          if (res.statusCode === 200) {
-            try {
-              const json = JSON.parse(data);
-
-              if (json.status === 'AuthenticationException' || json.status === '401') {
-                if (retryCount < 1) {
-                  this.log.warn('Auth token expired. Refreshing session...');
-                  try {
-                    const creds = await this.platform.refreshSession();
-                    this.token = creds.token;
-                    this.uid = creds.uid;
-                    this.sessionId = creds.sessionId;
-                    
-                    return resolve(this._callApi(path, params, retryCount + 1));
-                  } catch (err) {
-                    this.log.error('Session refresh failed:', err.message);
-                    reject(err);
-                  }
-                } else {
-                  reject(new Error('Authentication failed after retry'));
-                  return;
-                }
-              }
-
-              if (json.status === '200') {
-                this.log.debug(`API Success: ${path}`);
-                resolve(json);
-              } else {
-                reject(new Error(`API returned status ${json.status}: ${JSON.stringify(json)}`));
-              }
-            } catch (e) {
-              // Handle non-JSON responses (e.g., HTML error pages)
-              reject(new Error(`Invalid API response: ${data.substring(0, 50)}...`));
-            }
-          } else {
-            reject(new Error(`API HTTP Error ${res.statusCode}`));
-          }
-        });
       });
+  }
 
-      req.on('error', (e) => {
-        this.log.error(`API Error calling ${path}:`, e.message);
-        reject(e);
-      });
+  // Adds a "Refill N%" switch per configured level and removes switches for levels no longer listed.
+  syncRefillLevelSwitches(levels) {
+    const wanted = [...new Set((Array.isArray(levels) ? levels : [])
+      .filter(level => Number.isInteger(level) && level >= 1 && level <= 100))];
+    const subtypes = new Set(wanted.map(level => `refill-${level}`));
 
-      req.end();
+    const stale = this.accessory.services.filter(s => s.subtype && /^refill-\d+$/.test(s.subtype) && !subtypes.has(s.subtype));
+    for (const service of stale) {
+      this.accessory.removeService(service);
+    }
+
+    this.refillLevelSwitches = wanted.map(level => {
+      const subtype = `refill-${level}`;
+      const service = this.accessory.services.find(s => s.subtype === subtype) ||
+        this.accessory.addService(this.platform.api.hap.Service.Switch, `Refill ${level}%`, subtype);
+      this.bindMomentarySwitch(service, () => this.setOilLevel(level));
+      return service;
     });
   }
 
-  async getOilLevel() {
-    return this.oilLevel || 0;
+  async resetFilter(value) {
+    await this.setOilLevel(100);
   }
 
-  async resetFilter(value) {
-    this.log.info(`Request to Reset Filter (Setting Liquid Level to 100% via Cloud API)`);
+  // Tells the cloud the tank now holds `level` percent: 100 after a full refill, less after a top-up.
+  async setOilLevel(level) {
+    this.log.info(`Request to Reset Filter (Setting Liquid Level to ${level}% via Cloud API)`);
     try {
       // Endpoint confirmed by user: /amosFragrance/resetLiquidLevel.do?liquidLevel=100
-      await this._callApi('/resetLiquidLevel.do', { liquidLevel: 100 });
+      await this._callApi('/resetLiquidLevel.do', { liquidLevel: level });
+      this.logRefill(this.oilLevel, level);
 
       // Update local cache immediately
-      this.oilLevel = 100;
-      this.filterService.updateCharacteristic(this.platform.api.hap.Characteristic.FilterLifeLevel, 100);
-      this.filterService.updateCharacteristic(this.platform.api.hap.Characteristic.FilterChangeIndication, this.platform.api.hap.Characteristic.FilterChangeIndication.FILTER_OK);
+      this.oilLevel = level;
+      if (this.filterService) {
+        this.filterService.updateCharacteristic(this.platform.api.hap.Characteristic.FilterLifeLevel, level);
+      }
+      if (this.profile.waterLevel) {
+        this.service.updateCharacteristic(this.platform.api.hap.Characteristic.WaterLevel, level);
+      }
+      this.updateOilAlerts();
 
       this.log.info('Filter Reset Successful');
+      this._afterWrite();
     } catch (error) {
       this.log.error('Failed to Reset Filter:', error.message);
       // Revert the "Reset" switch if possible, though it's stateless.
@@ -323,32 +1084,84 @@ class DiffuserAccessory {
     try {
       const response = await this._callApi('/amosFragrance.do', { checkPermissions: 0 });
       if (response && response.data) {
-        const data = response.data;
+        this.applyStatus(response.data);
+        this.log.debug('Poll success:', JSON.stringify(response.data));
+      }
+      this.unreachable = false;
+      return true;
+    } catch (e) {
+      this.log.debug('Poll failed:', e.message);
+      if (isTransient(e)) {
+        this.markUnreachable();
+      } else {
+        this.unreachable = false;
+      }
+      return false;
+    }
+  }
+
+  // Flags the diffuser as not responding so HomeKit shows No Response rather than stale state.
+  markUnreachable() {
+    if (this.unreachable) {
+      return;
+    }
+    this.unreachable = true;
+    this.service.updateCharacteristic(this.powerCharacteristic,
+      new this.platform.api.hap.HapStatusError(this.platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE));
+  }
 
-        // update cached values
-        this.isOn = data.status === true;
-        this.oilLevel = data.liquidLevel || 0;
+  // Pushes a status payload to HomeKit. With `partial` (a row from the batch device list)
+  // only fields present in `data` are applied; returns the status fields it lacked.
+  applyStatus(data, partial = false) {
+    const has = field => !partial || data[field] !== undefined;
+    this.unreachable = false;
 
-        this.service.updateCharacteristic(this.platform.api.hap.Characteristic.On, this.isOn);
+    // update cached values
+    if (has('status')) {
+      this.isOn = data.status === true;
+      this.updatePower();
+    }
+
+    if (has('liquidLevel')) {
+      this.oilLevel = data.liquidLevel || 0;
+      if (this.filterService) {
         this.filterService.updateCharacteristic(this.platform.api.hap.Characteristic.FilterLifeLevel, this.oilLevel);
+      }
+      if (this.profile.waterLevel) {
+        this.service.updateCharacteristic(this.platform.api.hap.Characteristic.WaterLevel, this.oilLevel);
+      }
+      this.updateOilAlerts();
+      // Status rows may carry the timer's run/suspend; otherwise use the last timer read.
+      const duty = OilHistory.dutyCycle(data);
+      this.trackOil(this.oilLevel, duty !== null ? duty : OilHistory.dutyCycle(this.timerCache));
+    }
 
-        // Lock State
-        const lockState = data.lockMark
-          ? this.platform.api.hap.Characteristic.LockPhysicalControls.CONTROL_LOCK_ENABLED
-          : this.platform.api.hap.Characteristic.LockPhysicalControls.CONTROL_LOCK_DISABLED;
-        this.service.updateCharacteristic(this.platform.api.hap.Characteristic.LockPhysicalControls, lockState);
+    if (data.oilName !== undefined) {
+      this.updateScent(data.oilName);
+    }
 
-        // Rotation Speed (Run Time)
-        // 300s = 100%, so divide by 3
-        const speed = Math.min(100, Math.round((data.run || 0) / 3));
-        this.service.updateCharacteristic(this.platform.api.hap.Characteristic.RotationSpeed, speed);
+    // Lock State
+    if (this.lockEnabled && has('lockMark')) {
+      this.lockService.updateCharacteristic(this.lockCharacteristic, this.lockValue(data.lockMark));
+      this.checkUnlockPeriod(data.lockMark);
+    }
 
-        this.log.debug('Poll success:', JSON.stringify(data));
-      }
-    } catch (e) {
-      this.log.debug('Poll failed:', e.message);
+    // Rotation Speed / Brightness (Run Time, or run/suspend duty cycle)
+    if (this.intensityCharacteristic && has('run')) {
+      const speed = intensity.toPercent(data, this.intensityProfile);
+      this.service.updateCharacteristic(this.intensityCharacteristic, speed);
+    }
+
+    if (this.pauseService && data.suspend !== undefined) {
+      this.pauseService.updateCharacteristic(this.platform.api.hap.Characteristic.RotationSpeed, intensity.suspendToPercent(data.suspend));
     }
+
+    return STATUS_FIELDS.filter(field => data[field] === undefined);
   }
 }
 
 module.exports = DiffuserAccessory;
+module.exports.STATUS_FIELDS = STATUS_FIELDS;
+module.exports.BATCH_POLL_JOB = BATCH_POLL_JOB;
+module.exports.LOW_OIL_SENSORS = LOW_OIL_SENSORS;
+module.exports.SERVICE_TYPES = SERVICE_TYPES;
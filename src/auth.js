@@ -1,18 +1,63 @@
-const http = require('http');
 const querystring = require('querystring');
+const LbslmClient = require('./client');
+const { HOSTS, resolveHost, CookieJar } = LbslmClient;
+const {
+    HttpError, ServerError, ParseError, ApiError,
+    InvalidCredentialsError, AccountLockedError, CaptchaRequiredError
+} = require('./errors');
+const { cookieExpiry } = require('./session');
 
-const HOSTS = {
-    'CN': 'amos.cn.lbslm.com',
-    'US': 'amos.us.lbslm.com'
-};
+// Page size used by the web dashboard; the page cap guards against a server that never reports a total.
+const DEVICE_PAGE_SIZE = 10;
+const MAX_DEVICE_PAGES = 100;
+
+// Markers in the `status` and `msg` of a failed /admin/login.do answer, checked in this order
+// (a locked account may also report an AuthenticationException). The dashboard answers in
+// English or Chinese.
+const LOGIN_FAILURES = [
+    { pattern: /LockedException|account (is )?locked|锁定/i, error: AccountLockedError, message: 'Account locked' },
+    { pattern: /captcha|verify ?code|验证码/i, error: CaptchaRequiredError, message: 'Captcha required' },
+    { pattern: /AuthenticationException|BadCredentials|用户名或密码|密码错误/i, error: InvalidCredentialsError, message: 'Invalid Credentials' }
+];
+
+// A cookie that only a successful login sets (the servlet container's JSESSIONID is set on
+// any answer).
+function isSessionCookie(cookie) {
+    return /^\s*(uid|token|sessionId)=/.test(cookie);
+}
+
+// `status` and `msg` of a JSON login answer, or '' for anything else.
+function loginFailureReason(body) {
+    let json;
+    try {
+        json = JSON.parse(body);
+    } catch (e) {
+        return '';
+    }
+    return json && typeof json === 'object' ? [json.status, json.msg].filter(Boolean).join(' ') : '';
+}
 
 class AuthClient {
-    constructor(log, region = 'CN') {
+    // `tls` is { protocol, ca, rejectUnauthorized }; see LbslmClient.
+    constructor(log, region = 'CN', customHost, tls = {}) {
         this.log = log || console;
-        this.host = HOSTS[region] || HOSTS['CN'];
+        this.client = new LbslmClient(this.log, { region, customHost, timeout: 10000, ...tls }); // 10s timeout
         this.log.debug(`Using Auth Host: ${this.host}`);
     }
 
+    // Host, port and protocol can change when an `auto` client falls back to HTTP.
+    get host() {
+        return this.client.host;
+    }
+
+    get port() {
+        return this.client.port;
+    }
+
+    get protocol() {
+        return this.client.protocol;
+    }
+
     async getCredentials(username, password) {
         try {
             const cookies = await this.login(username, password);
@@ -38,6 +83,12 @@ class AuthClient {
                 token: token,
                 uid: uid,
                 sessionId: sessionId,
+                host: this.host,
+                // An `auto` fallback to HTTP is not saved with the session; see LbslmClient.settledProtocol.
+                port: this.client.settledPort,
+                protocol: this.client.settledProtocol,
+                cookies: cookies,
+                expiresAt: cookieExpiry(cookies),
                 devices: devices
             };
         } catch (error) {
@@ -46,113 +97,132 @@ class AuthClient {
         }
     }
 
-    login(username, password) {
-        return new Promise((resolve, reject) => {
-            const postData = querystring.stringify({
-                platform: '1',
-                areaCode: '0',
-                username: username,
-                password: password
-            });
-
-            const options = {
-                hostname: this.host,
-                port: 80,
-                path: '/admin/login.do',
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                    'Content-Length': Buffer.byteLength(postData),
-                    'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-                },
-                timeout: 10000 // 10s timeout
-            };
+    async login(username, password) {
+        const postData = querystring.stringify({
+            platform: '1',
+            areaCode: '0',
+            username: username,
+            password: password
+        });
 
-            const req = http.request(options, (res) => {
-                if (res.statusCode >= 200 && res.statusCode < 400) {
-                    const cookies = res.headers['set-cookie'];
-                    if (cookies) {
-                        resolve(cookies);
-                    } else {
-                        // API may return 200 OK with "AuthenticationException" in the body.
-                        let data = '';
-                        res.on('data', (c) => {
-                            data += c;
-                        });
-                        res.on('end', () => {
-                            if (data.includes("AuthenticationException")) {
-                                reject(new Error("Invalid Credentials"));
-                            } else {
-                                resolve(null); // Return only valid cookies
-                            }
-                        });
-                    }
-                } else {
-                    reject(new Error(`HTTP ${res.statusCode}`));
-                }
-            });
-
-            req.on('error', (e) => {
-                reject(e);
-            });
-            req.write(postData);
-            req.end();
+        const res = await this.client.request({
+            method: 'POST',
+            path: '/admin/login.do',
+            body: postData,
+            sensitive: true,
+            headers: this.client.webHeaders({ 'Content-Type': 'application/x-www-form-urlencoded' })
         });
+
+        if (res.statusCode >= 500) {
+            throw new ServerError(`HTTP ${res.statusCode}`, { statusCode: res.statusCode });
+        }
+        if (res.statusCode < 200 || res.statusCode >= 400) {
+            throw new HttpError(`HTTP ${res.statusCode}`, { statusCode: res.statusCode });
+        }
+
+        const cookies = res.headers['set-cookie'];
+        if (cookies && cookies.some(isSessionCookie)) {
+            return cookies;
+        }
+
+        // API may return 200 OK with the failure reason in the body.
+        const reason = loginFailureReason(res.body);
+        const failure = LOGIN_FAILURES.find(({ pattern }) => pattern.test(reason));
+        if (failure) {
+            throw new failure.error(failure.message);
+        }
+        if (cookies) {
+            return cookies;
+        }
+        throw new ApiError(`Unexpected login response: ${res.body.substring(0, 50)}`);
     }
 
-    fetchDevices(cookies, uid) {
-        return new Promise((resolve, reject) => {
-            let cookieArr = [];
-            for (const c of cookies) {
-                cookieArr.push(c.split(';')[0]);
+    // Pages through /admin/amos/searchForWeb.do (a DataTables endpoint) until
+    // `recordsTotal` devices have been collected or a short page is returned. A list that stopped
+    // early (a mismatched page, the page cap, or fewer than `recordsTotal` devices) is returned
+    // with `incomplete` set, so callers don't take missing devices as removed.
+    async fetchDevices(cookies, uid) {
+        const cookieStr = new CookieJar(cookies).toString();
+
+        const devices = [];
+        let total = null;
+        let finished = false;
+        for (let draw = 1; draw <= MAX_DEVICE_PAGES; draw++) {
+            const json = await this.fetchDevicePage(cookieStr, uid, draw, devices.length);
+            const page = (json && Array.isArray(json.data)) ? json.data : [];
+
+            if (json && json.draw !== undefined && Number(json.draw) !== draw) {
+                this.log.warn(`Device list page ${draw} answered with draw ${json.draw}; ignoring it.`);
+                break;
             }
-            const cookieStr = cookieArr.join('; ');
-            const query = querystring.stringify({
-                online: 2,
-                uid: uid,
-                draw: 1,
-                start: 0,
-                length: 10
-            });
-            const pathUrl = `/admin/amos/searchForWeb.do?${query}`;
-
-            const options = {
-                hostname: this.host,
-                port: 80,
-                path: pathUrl,
-                method: 'POST',
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                    'X-Requested-With': 'XMLHttpRequest',
-                    'Cookie': cookieStr
-                },
-                timeout: 10000 // 10s timeout
-            };
+            if (json && json.recordsTotal !== undefined) {
+                total = Number(json.recordsTotal);
+            }
+
+            devices.push(...page);
+            if (page.length < DEVICE_PAGE_SIZE || (total !== null && devices.length >= total)) {
+                finished = true;
+                break;
+            }
+        }
 
-            const req = http.request(options, (res) => {
-                let data = '';
-                res.on('data', (c) => {
-                    data += c;
-                });
-                res.on('end', () => {
-                    try {
-                        const json = JSON.parse(data);
-                        if (json && json.data) {
-                            resolve(json.data);
-                        } else {
-                            resolve([]);
-                        }
-                    } catch (e) {
-                        reject(new Error("Failed to parse device list JSON"));
-                    }
-                });
-            });
-
-            req.on('error', (e) => {
-                reject(e);
-            });
-            req.end();
+        this.log.debug(`Fetched ${devices.length} device(s) on account` + (total !== null ? ` (cloud reports ${total}).` : '.'));
+        if (!finished || (total !== null && devices.length < total)) {
+            this.log.warn(`Device list incomplete: received ${devices.length} of ${total !== null ? total : 'an unknown number of'} devices.`);
+            devices.incomplete = true;
+        }
+        return devices;
+    }
+
+    // Cheap check that saved cookies are still accepted: fetches the first device page.
+    // Resolves with that page, or null when the dashboard rejects the session (it answers
+    // with its HTML login page). Network and HTTP errors are thrown so callers can tell them
+    // apart from a rejection.
+    async validateSession(cookies, uid) {
+        try {
+            const json = await this.fetchDevicePage(new CookieJar(cookies).toString(), uid, 1, 0);
+            return json && Array.isArray(json.data) ? json : null;
+        } catch (e) {
+            if (e instanceof ParseError) {
+                return null;
+            }
+            throw e;
+        }
+    }
+
+    async fetchDevicePage(cookieStr, uid, draw, start) {
+        const query = querystring.stringify({
+            online: 2,
+            uid: uid,
+            draw: draw,
+            start: start,
+            length: DEVICE_PAGE_SIZE
         });
+
+        const res = await this.client.request({
+            method: 'POST',
+            path: `/admin/amos/searchForWeb.do?${query}`,
+            sensitive: true,
+            headers: this.client.webHeaders({
+                'X-Requested-With': 'XMLHttpRequest',
+                'Cookie': cookieStr
+            })
+        });
+
+        // Only a successful or redirected answer can be the login page; an error page from the
+        // cloud or a proxy says nothing about the session.
+        if (res.statusCode >= 500) {
+            throw new ServerError(`HTTP ${res.statusCode}`, { statusCode: res.statusCode });
+        }
+        if (res.statusCode < 200 || res.statusCode >= 400) {
+            throw new HttpError(`HTTP ${res.statusCode}`, { statusCode: res.statusCode });
+        }
+
+        try {
+            return JSON.parse(res.body);
+        } catch (e) {
+            throw new ParseError("Failed to parse device list JSON");
+        }
     }
 
     extractUid(cookies) {
@@ -184,3 +254,5 @@ class AuthClient {
 }
 
 module.exports = AuthClient;
+module.exports.HOSTS = HOSTS;
+module.exports.resolveHost = resolveHost;
@@ -0,0 +1,365 @@
+const http = require('http');
+const https = require('https');
+const { LbslmError, NetworkError, HttpError, ParseError, ApiError, AuthenticationError } = require('./errors');
+
+const HOSTS = {
+    'CN': 'amos.cn.lbslm.com',
+    'US': 'amos.us.lbslm.com'
+};
+
+// Default transport per region, overridable with the `protocol` option. Neither server has been
+// seen serving TLS yet, so both stay on HTTP until a region is confirmed.
+const REGION_PROTOCOLS = {
+    'CN': 'http',
+    'US': 'http'
+};
+
+// `auto` tries HTTPS first and falls back to HTTP when the server doesn't speak TLS.
+const PROTOCOLS = ['http', 'https', 'auto'];
+const TRANSPORTS = { http, https };
+const DEFAULT_PORTS = { http: 80, https: 443, auto: 443 };
+
+// Errors meaning "nothing is serving TLS here"; a refused connection only counts on the HTTPS
+// port. Timeouts, resets and certificate errors are deliberately absent: a slow response, an
+// injected reset or an untrusted certificate must never cause a silent downgrade to plaintext.
+const TLS_UNSUPPORTED_CODES = ['EPROTO', 'ERR_SSL_WRONG_VERSION_NUMBER'];
+
+// Hosts we've already warned about sending credentials to in clear text (once per process).
+const plaintextWarnings = new Set();
+
+// Endpoints used by the UPerfume app live under this prefix; /admin/... paths are root-relative.
+const DEVICE_BASE_PATH = '/amosFragrance';
+
+// Read-only app endpoints; these are safe to repeat after a timeout or dropped connection.
+const IDEMPOTENT_PATHS = ['/amosFragrance.do', '/timerList.do'];
+
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY = 1000;
+
+const APP_USER_AGENT = 'UPerfume/2.1.5 (iPhone; iOS 26.3; Scale/3.00)';
+const WEB_USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Resolves host, port and protocol for a region. `customHost` ("host", "host:port" or a URL)
+// takes precedence so the plugin can be pointed at a local stub or proxy; its scheme, if any,
+// wins over `protocol`.
+function resolveEndpoint(region, customHost, protocol) {
+    const known = HOSTS[region] ? region : 'CN';
+    let selected = PROTOCOLS.includes(protocol) ? protocol : REGION_PROTOCOLS[known];
+    if (customHost) {
+        const scheme = customHost.match(/^(https?):\/\//);
+        if (scheme) {
+            selected = scheme[1];
+        }
+        const [host, port] = customHost.replace(/^https?:\/\//, '').replace(/\/.*$/, '').split(':');
+        return { host, port: port ? parseInt(port, 10) : DEFAULT_PORTS[selected], protocol: selected, explicitPort: !!port };
+    }
+    return { host: HOSTS[known], port: DEFAULT_PORTS[selected], protocol: selected, explicitPort: false };
+}
+
+function resolveHost(region, customHost) {
+    const { host, port } = resolveEndpoint(region, customHost);
+    return { host, port };
+}
+
+function isTlsUnsupported(error, port) {
+    return error instanceof NetworkError &&
+        (TLS_UNSUPPORTED_CODES.includes(error.code) || (error.code === 'ECONNREFUSED' && port === DEFAULT_PORTS.https));
+}
+
+// Transient failures worth another attempt: socket errors, timeouts and 5xx responses.
+function isTransient(error) {
+    return error instanceof NetworkError || (error instanceof HttpError && error.statusCode >= 500);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Minimal cookie jar for the web dashboard session: keeps the name=value pair of each Set-Cookie.
+class CookieJar {
+    constructor(setCookies = []) {
+        this.cookies = new Map();
+        this.store(setCookies);
+    }
+
+    store(setCookies) {
+        for (const cookie of setCookies || []) {
+            const pair = cookie.split(';')[0];
+            const index = pair.indexOf('=');
+            if (index > 0) {
+                this.cookies.set(pair.slice(0, index).trim(), pair.slice(index + 1).trim());
+            }
+        }
+    }
+
+    get(name) {
+        return this.cookies.get(name);
+    }
+
+    toString() {
+        return [...this.cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+    }
+}
+
+// Single HTTP client for the LBSLM cloud. Owns host selection, request timeouts, response
+// parsing and status normalisation for both the web dashboard (login, device search) and the
+// app endpoints used to control a device. Failures are raised as the typed errors in ./errors.
+class LbslmClient {
+    constructor(log, options = {}) {
+        this.log = log || console;
+        let resolved;
+        if (options.host) {
+            const protocol = PROTOCOLS.includes(options.protocol) ? options.protocol : 'http';
+            resolved = { host: options.host, port: options.port || DEFAULT_PORTS[protocol], protocol, explicitPort: !!options.port };
+        } else {
+            resolved = resolveEndpoint(options.region, options.customHost, options.protocol);
+        }
+        this.host = resolved.host;
+        this.port = resolved.port;
+        // 'http', 'https', or 'auto' until the first request settles it.
+        this.protocol = resolved.protocol;
+        this.explicitPort = resolved.explicitPort;
+        // Set when `auto` fell back to HTTP; the port before the fallback is kept so a session
+        // can remember `auto` rather than the downgrade (see settledProtocol).
+        this.downgraded = false;
+        this.autoPort = resolved.port;
+        // Extra TLS settings for self-hosted proxies: a PEM `ca` bundle and `rejectUnauthorized`.
+        this.tls = {};
+        if (options.ca) {
+            this.tls.ca = options.ca;
+        }
+        if (options.rejectUnauthorized === false) {
+            this.tls.rejectUnauthorized = false;
+        }
+        this.timeout = options.timeout;
+        // Retry policy for callDevice. Writes are only retried with `retryWrites`, since a
+        // timed-out write may still have reached the device.
+        this.deviceTimeout = Number.isFinite(options.deviceTimeout) ? options.deviceTimeout : DEFAULT_TIMEOUT;
+        this.retries = Number.isInteger(options.retries) && options.retries >= 0 ? options.retries : DEFAULT_RETRIES;
+        this.retryDelay = Number.isFinite(options.retryDelay) ? options.retryDelay : DEFAULT_RETRY_DELAY;
+        this.retryWrites = options.retryWrites === true;
+        // App identity for device calls: { appid, username }.
+        this.credentials = options.credentials || {};
+        // Login session { token, uid, sessionId }. Pass the platform's shared Session so a refresh
+        // reaches every client; without one, token/uid/sessionId are read from `credentials`.
+        this.session = options.session || this.credentials;
+        // Called when the cloud rejects the session; resolves with fresh { token, uid, sessionId }.
+        this.onAuthExpired = options.onAuthExpired;
+    }
+
+    // Protocol and port for later clients of this host to use. A fallback to HTTP is not passed
+    // on: they start from `auto` again, so a one-off probe failure never pins plaintext.
+    get settledProtocol() {
+        return this.downgraded ? 'auto' : this.protocol;
+    }
+
+    get settledPort() {
+        return this.downgraded ? this.autoPort : this.port;
+    }
+
+    get hostHeader() {
+        const protocol = this.protocol === 'auto' ? 'https' : this.protocol;
+        return this.port === DEFAULT_PORTS[protocol] ? this.host : `${this.host}:${this.port}`;
+    }
+
+    // Performs one request and resolves with { statusCode, headers, body } for any status.
+    // `sensitive` requests carry a password or session cookie and trigger a plaintext warning over HTTP.
+    async request(options) {
+        if (this.protocol !== 'auto') {
+            return this._send(this.protocol, options);
+        }
+        try {
+            const res = await this._send('https', options);
+            this.protocol = 'https';
+            return res;
+        } catch (e) {
+            if (!isTlsUnsupported(e, this.port)) {
+                throw e;
+            }
+            this.log.warn(`${this.host} does not accept HTTPS (${e.code}); falling back to HTTP.`);
+            this.protocol = 'http';
+            this.downgraded = true;
+            if (!this.explicitPort) {
+                this.port = DEFAULT_PORTS.http;
+            }
+            return this._send('http', options);
+        }
+    }
+
+    _send(protocol, { method = 'GET', path, body, headers = {}, timeout = this.timeout, sensitive = false }) {
+        if (protocol === 'http' && sensitive) {
+            this.warnPlaintext();
+        }
+        return new Promise((resolve, reject) => {
+            const options = {
+                hostname: this.host,
+                port: this.port,
+                path: path,
+                method: method,
+                headers: { ...headers }
+            };
+            if (protocol === 'https') {
+                Object.assign(options, this.tls);
+            }
+            if (body !== undefined) {
+                options.headers['Content-Length'] = Buffer.byteLength(body);
+            }
+            if (timeout) {
+                options.timeout = timeout;
+            }
+
+            const req = TRANSPORTS[protocol].request(options, (res) => {
+                let data = '';
+                res.on('data', (chunk) => {
+                    data += chunk;
+                });
+                res.on('end', () => {
+                    resolve({ statusCode: res.statusCode, headers: res.headers || {}, body: data });
+                });
+            });
+
+            if (timeout) {
+                req.on('timeout', () => {
+                    req.destroy(new NetworkError(`Request to ${path.split('?')[0]} timed out after ${timeout}ms`, { code: 'ETIMEDOUT' }));
+                });
+            }
+            req.on('error', (e) => {
+                if (e.code && /CERT|SELF_SIGNED|UNABLE_TO_VERIFY/.test(e.code)) {
+                    this.log.error(`TLS certificate for ${this.host} was rejected (${e.code}). Set "caFile" for a private CA.`);
+                }
+                reject(e instanceof LbslmError ? e : new NetworkError(e.message, { code: e.code }));
+            });
+            if (body !== undefined) {
+                req.write(body);
+            }
+            req.end();
+        });
+    }
+
+    warnPlaintext() {
+        const key = `${this.host}:${this.port}`;
+        if (plaintextWarnings.has(key)) {
+            return;
+        }
+        plaintextWarnings.add(key);
+        this.log.warn(`Sending account credentials to ${this.host} over unencrypted HTTP. ` +
+            'Set "protocol" to "https" or "auto" if the server supports TLS.');
+    }
+
+    webHeaders(extra = {}) {
+        return {
+            'User-Agent': WEB_USER_AGENT,
+            ...extra
+        };
+    }
+
+    appHeaders() {
+        const { appid, username } = this.credentials;
+        const { uid, token, sessionId } = this.session;
+        return {
+            'Host': this.hostHeader,
+            'Accept': '*/*',
+            'User-Agent': APP_USER_AGENT,
+            'Accept-Language': 'en-US;q=1',
+            'Connection': 'keep-alive',
+            'Cookie': `appid=${appid};uid=${uid};token=${token};SESSIONID=${sessionId};username=${username}`
+        };
+    }
+
+    isIdempotent(path) {
+        return IDEMPOTENT_PATHS.includes(path);
+    }
+
+    // Calls an app endpoint for device `nid` and resolves with the JSON body when its
+    // `status` is '200'. Transient failures are retried with exponential backoff
+    // (reads always, writes only with `retryWrites`).
+    async callDevice(nid, path, params = {}) {
+        const retries = this.retryWrites || this.isIdempotent(path) ? this.retries : 0;
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this._callDevice(nid, path, params);
+            } catch (e) {
+                if (attempt >= retries || !isTransient(e)) {
+                    throw e;
+                }
+                const delay = this.retryDelay * Math.pow(2, attempt);
+                this.log.debug(`Retrying ${path} in ${delay}ms (${attempt + 1}/${retries}): ${e.message}`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    // One round trip to the device endpoint. An expired session is refreshed once through `onAuthExpired`.
+    async _callDevice(nid, path, params, attempt = 0) {
+        // Merge params with default query params
+        const query = new URLSearchParams({
+            nid: nid,
+            timestamp: Date.now() / 1000,
+            ...params
+        }).toString();
+        const resourcePath = path.startsWith('/admin') ? path : `${DEVICE_BASE_PATH}${path}`;
+
+        // Remember which token this request carried, to spot a refresh that happened meanwhile.
+        const sentToken = this.session.token;
+        let res;
+        try {
+            res = await this.request({ path: `${resourcePath}?${query}`, headers: this.appHeaders(), timeout: this.deviceTimeout, sensitive: true });
+        } catch (e) {
+            this.log.error(`API Error calling ${path}:`, e.message);
+            throw e;
+        }
+
+        if (res.statusCode !== 200) {
+            throw new HttpError(`HTTP ${res.statusCode}`, { statusCode: res.statusCode });
+        }
+
+        let json;
+        try {
+            json = JSON.parse(res.body);
+        } catch (e) {
+            // Handle non-JSON responses (e.g., HTML error pages)
+            throw new ParseError(`Invalid API response: ${res.body.substring(0, 50)}...`);
+        }
+
+        if (json.status === 'AuthenticationException' || json.status === '401') {
+            if (attempt >= 1 || !this.onAuthExpired) {
+                throw new AuthenticationError('Authentication failed after retry');
+            }
+            if (this.session.token !== sentToken) {
+                // Another accessory already refreshed the shared session; logging in again would
+                // only invalidate the new one.
+                this.log.debug(`Session was refreshed while calling ${path}; retrying with the new token.`);
+                return this._callDevice(nid, path, params, attempt + 1);
+            }
+            this.log.warn('Auth token expired. Refreshing session...');
+            let creds;
+            try {
+                creds = await this.onAuthExpired();
+            } catch (err) {
+                this.log.error('Session refresh failed:', err.message);
+                throw err;
+            }
+            // A shared session has already been updated by the refresh; this covers a private one.
+            if (creds && creds !== this.session) {
+                this.session.token = creds.token;
+                this.session.uid = creds.uid;
+                this.session.sessionId = creds.sessionId;
+            }
+            return this._callDevice(nid, path, params, attempt + 1);
+        }
+
+        if (json.status === '200') {
+            this.log.debug(`API Success: ${path}`);
+            return json;
+        }
+        throw new ApiError(`API returned status ${json.status}: ${JSON.stringify(json)}`, { status: json.status, payload: json });
+    }
+}
+
+module.exports = LbslmClient;
+module.exports.HOSTS = HOSTS;
+module.exports.resolveHost = resolveHost;
+module.exports.resolveEndpoint = resolveEndpoint;
+module.exports.PROTOCOLS = PROTOCOLS;
+module.exports.CookieJar = CookieJar;
+module.exports.IDEMPOTENT_PATHS = IDEMPOTENT_PATHS;
+module.exports.isTransient = isTransient;
@@ -0,0 +1,55 @@
+// Typed errors raised by LbslmClient so callers can tell transport, protocol and
+// account problems apart without matching on message text.
+
+class LbslmError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        Object.assign(this, details);
+    }
+}
+
+// Socket errors, DNS failures and timeouts. `code` carries the Node error code (e.g. ECONNRESET).
+class NetworkError extends LbslmError { }
+
+// Non-2xx HTTP responses. `statusCode` is the HTTP status.
+class HttpError extends LbslmError { }
+
+// 5xx responses: the cloud itself is failing, so trying again later may help.
+class ServerError extends HttpError { }
+
+// Bodies that should be JSON but are not (e.g. an HTML error page).
+class ParseError extends LbslmError { }
+
+// JSON responses whose `status` is not '200'. `status` and `payload` hold the response.
+class ApiError extends LbslmError { }
+
+// The session was rejected and could not be refreshed. Base class for the login failures
+// below, none of which are fixed by simply trying again.
+class AuthenticationError extends LbslmError { }
+
+// The cloud rejected the email or password.
+class InvalidCredentialsError extends AuthenticationError { }
+
+// The account is locked, typically after too many failed logins.
+class AccountLockedError extends AuthenticationError { }
+
+// The cloud wants a captcha solved before it will accept this login.
+class CaptchaRequiredError extends AuthenticationError { }
+
+// The platform stopped attempting logins to protect the account; see DiffuserPlatform.login.
+class LoginBlockedError extends AuthenticationError { }
+
+module.exports = {
+    LbslmError,
+    NetworkError,
+    HttpError,
+    ServerError,
+    ParseError,
+    ApiError,
+    AuthenticationError,
+    InvalidCredentialsError,
+    AccountLockedError,
+    CaptchaRequiredError,
+    LoginBlockedError
+};
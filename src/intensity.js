@@ -0,0 +1,55 @@
+// Maps HomeKit 0-100% sliders onto the timer's run/suspend seconds.
+//
+// Profiles:
+//   runTime   - slider only moves `run` (5s-300s), `suspend` is left alone.
+//   dutyCycle - slider moves run and suspend together within a fixed cycle. The duty
+//               cycle follows a square curve so the low end of the slider gives
+//               genuinely light scenting (e.g. 10% -> 5s on / 295s off).
+
+const MIN_RUN = 5;
+const MAX_RUN = 300;
+const MIN_SUSPEND = 5;
+const MAX_SUSPEND = 600;
+const CYCLE_SECONDS = 300;
+
+const PROFILES = ['runTime', 'dutyCycle'];
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+function toTimerSettings(percent, profile = 'runTime') {
+    if (profile === 'dutyCycle') {
+        const duty = Math.pow(percent / 100, 2);
+        const run = clamp(Math.round(duty * CYCLE_SECONDS), MIN_RUN, MAX_RUN);
+        return { run, suspend: Math.max(MIN_SUSPEND, CYCLE_SECONDS - run) };
+    }
+    // 300s = 100%
+    return { run: Math.max(MIN_RUN, Math.round(percent * 3)) };
+}
+
+function toPercent(timer, profile = 'runTime') {
+    const run = timer.run || 0;
+    if (profile === 'dutyCycle' && run > 0 && timer.suspend !== undefined) {
+        const duty = run / (run + (timer.suspend || 0));
+        return clamp(Math.round(Math.sqrt(duty) * 100), 0, 100);
+    }
+    return Math.min(100, Math.round(run / 3));
+}
+
+// The pause slider is linear: 600s = 100%.
+function suspendFromPercent(percent) {
+    return clamp(Math.round(percent * MAX_SUSPEND / 100), MIN_SUSPEND, MAX_SUSPEND);
+}
+
+function suspendToPercent(suspend) {
+    return clamp(Math.round((suspend || 0) * 100 / MAX_SUSPEND), 0, 100);
+}
+
+module.exports = {
+    PROFILES,
+    toTimerSettings,
+    toPercent,
+    suspendFromPercent,
+    suspendToPercent
+};
@@ -0,0 +1,85 @@
+// Works out whether a diffuser is misting right now. The cloud only reports whether the device
+// is on; within an enabled timer's start-stop window the device then alternates between `run`
+// seconds of misting and `suspend` seconds of rest, starting with a run at the window's start.
+//
+// Times are taken as Homebridge's local time. The weekday `mode` is not decoded, so a timer is
+// treated as repeating every day.
+
+const TimerManager = require('./timers');
+const { parseTime } = TimerManager;
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Start and end (ms) of the timer window containing `now`, or the next one when `now` falls
+// outside every window. A stop at or before the start runs past midnight; equal times cover
+// the whole day.
+function timerWindow(timer, now) {
+    const start = parseTime(timer.start);
+    const stop = parseTime(timer.stop);
+    if (start === null || stop === null) {
+        return null;
+    }
+    const length = ((stop - start + DAY_SECONDS - 1) % DAY_SECONDS + 1) * 1000;
+    const midnight = new Date(now).setHours(0, 0, 0, 0);
+    // Yesterday's window may still be open after midnight.
+    for (const day of [-1, 0, 1]) {
+        const windowStart = new Date(midnight).setDate(new Date(midnight).getDate() + day) + start * 1000;
+        if (now < windowStart + length) {
+            return { start: windowStart, end: windowStart + length };
+        }
+    }
+    return null;
+}
+
+// "HH:MM" in local time for a timestamp, as timers store their start and stop.
+function formatTime(ms) {
+    const date = new Date(ms);
+    return [date.getHours(), date.getMinutes()].map(part => String(part).padStart(2, '0')).join(':');
+}
+
+// The window of a timer that can mist (enabled, with a run time), or null.
+function enabledWindow(timer, now) {
+    return TimerManager.isEnabled(timer) && Number(timer.run) > 0 ? timerWindow(timer, now) : null;
+}
+
+// The first enabled timer whose window is open at `now`, with that window, or null.
+function activeTimer(timers, now = Date.now()) {
+    for (const timer of timers || []) {
+        const window = enabledWindow(timer, now);
+        if (window && now >= window.start) {
+            return { timer, window };
+        }
+    }
+    return null;
+}
+
+// Misting state of one timer at `now`: { misting, changesAt }, or null for a timer that is
+// disabled or lacks usable times.
+function timerState(timer, now) {
+    const run = Number(timer.run);
+    const suspend = Math.max(0, Number(timer.suspend) || 0);
+    const window = enabledWindow(timer, now);
+    if (!window) {
+        return null;
+    }
+    if (now < window.start) {
+        return { misting: false, changesAt: window.start };
+    }
+    const cycle = (run + suspend) * 1000;
+    const cycleStart = window.start + Math.floor((now - window.start) / cycle) * cycle;
+    const misting = now < cycleStart + run * 1000;
+    const phaseEnd = misting ? cycleStart + run * 1000 : cycleStart + cycle;
+    return { misting, changesAt: Math.min(phaseEnd, window.end) };
+}
+
+// Combined state of a device's timers: misting while any of them is in a run phase.
+// `changesAt` is the next time any timer changes phase, or null without usable timers.
+function mistingState(timers, now = Date.now()) {
+    const states = (timers || []).map(timer => timerState(timer, now)).filter(Boolean);
+    return {
+        misting: states.some(state => state.misting),
+        changesAt: states.length ? Math.min(...states.map(state => state.changesAt)) : null
+    };
+}
+
+module.exports = { parseTime, formatTime, timerWindow, activeTimer, mistingState };
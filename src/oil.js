@@ -0,0 +1,166 @@
+// Oil level history for one diffuser, and how long the oil left should last.
+//
+// Each sample is a level reading plus running totals of the hours the diffuser was on and the
+// hours it actually misted (on-time scaled by run / (run + suspend)). Consumption is measured
+// per misting hour, so the estimate follows intensity changes at once; the diffuser's usual
+// on-hours per day turn it into days remaining.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Samples older than this, or beyond the newest MAX_SAMPLES, are dropped.
+const HISTORY_MS = 30 * DAY_MS;
+const MAX_SAMPLES = 500;
+// Time between polls longer than this (e.g. Homebridge was down) is not counted, and the
+// level change across it is left out of the rate.
+const MAX_GAP_MS = HOUR_MS;
+// A rise of at least this many percent is a refill; smaller rises are sensor noise.
+const REFILL_RISE = 5;
+// No estimate until the history covers this much drop and time.
+const MIN_DROP = 2;
+const MIN_SPAN_MS = DAY_MS;
+
+// Share of the time a timer mists, or null without both run and suspend.
+function dutyCycle(timer) {
+    if (!timer || !(timer.run > 0) || !Number.isFinite(timer.suspend)) {
+        return null;
+    }
+    return timer.run / (timer.run + Math.max(0, timer.suspend));
+}
+
+class OilHistory {
+    constructor(samples = []) {
+        this.samples = [];
+        this.onHours = 0;
+        this.mistHours = 0;
+        // Previous poll ({ at, on, duty }); on-time is credited between consecutive polls.
+        this.lastPoll = null;
+        // Time of this run's first poll; earlier samples were restored from storage.
+        this.runStart = null;
+        this.restore(samples);
+    }
+
+    // Adds saved samples older than any recorded in this run. The first sample of a run is
+    // always a reset, so the two runs' counters are never compared.
+    restore(samples) {
+        const valid = (Array.isArray(samples) ? samples : []).filter(sample =>
+            sample && Number.isFinite(sample.at) && Number.isFinite(sample.level) &&
+            Number.isFinite(sample.onHours) && Number.isFinite(sample.mistHours));
+        const first = this.samples[0];
+        const older = first ? valid.filter(sample => sample.at < first.at) : valid;
+        this.samples = older.concat(this.samples);
+        this.trim();
+    }
+
+    get latest() {
+        return this.samples[this.samples.length - 1] || null;
+    }
+
+    // Records a poll. `duty` is the current duty cycle, or null to use the history's average.
+    // Returns true when a sample was added (the level changed, or counting restarted).
+    record(level, { on, duty } = {}, now = Date.now()) {
+        let reset = !this.lastPoll;
+        if (this.runStart === null) {
+            this.runStart = now;
+        }
+        if (this.lastPoll) {
+            const elapsed = now - this.lastPoll.at;
+            if (elapsed < 0 || elapsed > MAX_GAP_MS) {
+                reset = true;
+            } else if (this.lastPoll.on) {
+                const hours = elapsed / HOUR_MS;
+                this.onHours += hours;
+                this.mistHours += hours * (this.lastPoll.duty === null ? this.averageDuty() : this.lastPoll.duty);
+            }
+        }
+        this.lastPoll = { at: now, on: on === true, duty: Number.isFinite(duty) ? duty : null };
+
+        const previous = this.latest;
+        if (previous && !reset) {
+            if (level >= previous.level + REFILL_RISE) {
+                reset = true;
+            } else if (level >= previous.level) {
+                return false;
+            }
+        }
+
+        const sample = {
+            at: now,
+            level,
+            onHours: Math.round(this.onHours * 10000) / 10000,
+            mistHours: Math.round(this.mistHours * 10000) / 10000
+        };
+        if (reset) {
+            sample.reset = true;
+        }
+        this.samples.push(sample);
+        this.trim(now);
+        return true;
+    }
+
+    trim(now = Date.now()) {
+        this.samples = this.samples.filter(sample => now - sample.at <= HISTORY_MS).slice(-MAX_SAMPLES);
+    }
+
+    // Totals over consecutive samples that aren't split by a refill or a gap. `drop` and
+    // `mistHours` give the consumption rate. On-time, `span` and `usageMistHours` also include
+    // the polls since the latest sample, so a level that hasn't moved for a while still counts
+    // toward the usual on-hours per day and duty cycle.
+    totals() {
+        const totals = { drop: 0, mistHours: 0, onHours: 0, usageMistHours: 0, span: 0 };
+        const latest = this.latest;
+        if (latest && this.lastPoll && latest.at >= this.runStart) {
+            totals.onHours += this.onHours - latest.onHours;
+            totals.usageMistHours += this.mistHours - latest.mistHours;
+            totals.span += this.lastPoll.at - latest.at;
+        }
+        for (let i = 1; i < this.samples.length; i++) {
+            const a = this.samples[i - 1];
+            const b = this.samples[i];
+            if (b.reset) {
+                continue;
+            }
+            totals.drop += a.level - b.level;
+            totals.onHours += b.onHours - a.onHours;
+            totals.mistHours += b.mistHours - a.mistHours;
+            totals.usageMistHours += b.mistHours - a.mistHours;
+            totals.span += b.at - a.at;
+        }
+        return totals;
+    }
+
+    averageDuty() {
+        const totals = this.totals();
+        return totals.onHours > 0 ? totals.usageMistHours / totals.onHours : 1;
+    }
+
+    // Percent of the tank used per misting hour and the usual on-hours per day, or null while
+    // the history is too short.
+    rate() {
+        const totals = this.totals();
+        if (totals.drop < MIN_DROP || totals.span < MIN_SPAN_MS || totals.mistHours <= 0 || totals.onHours <= 0) {
+            return null;
+        }
+        return {
+            perMistHour: totals.drop / totals.mistHours,
+            onHoursPerDay: totals.onHours / (totals.span / DAY_MS)
+        };
+    }
+
+    // Days until `level` reaches 0 at the current duty cycle (or the history's average), or null.
+    daysRemaining(level, duty = null) {
+        const rate = this.rate();
+        if (!rate) {
+            return null;
+        }
+        const perDay = rate.perMistHour * rate.onHoursPerDay * (Number.isFinite(duty) ? duty : this.averageDuty());
+        return perDay > 0 ? Math.max(0, level) / perDay : null;
+    }
+
+    toJSON() {
+        return this.samples;
+    }
+}
+
+module.exports = OilHistory;
+module.exports.dutyCycle = dutyCycle;
+module.exports.MAX_GAP_MS = MAX_GAP_MS;
@@ -1,48 +1,313 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const DiffuserAccessory = require('./accessory');
+const { STATUS_FIELDS, BATCH_POLL_JOB } = DiffuserAccessory;
 const AuthClient = require("./auth");
+const Poller = require('./poller');
+const SessionStore = require('./store');
+const Session = require('./session');
+const {
+  AuthenticationError, InvalidCredentialsError, AccountLockedError, CaptchaRequiredError, LoginBlockedError, ParseError
+} = require('./errors');
 
 const PLUGIN_NAME = 'homebridge-smart-diffuser-lbslm';
 const PLATFORM_NAME = 'SmartDiffuserLBSLM';
 
-class DiffuserPlatform {
+// Failed discovery is retried after 30s, doubling up to 30 minutes.
+const DISCOVERY_RETRY_MS = 30 * 1000;
+const MAX_DISCOVERY_RETRY_MS = 30 * 60 * 1000;
+// A failed background session refresh is retried this often; setTimeout can't wait longer than MAX_TIMER_MS.
+const SESSION_RETRY_MS = 5 * 60 * 1000;
+const MAX_TIMER_MS = 24 * 60 * 60 * 1000;
+// Consecutive rejected logins before the plugin stops trying, so it can't lock the account.
+const MAX_CREDENTIAL_FAILURES = 3;
+
+// Emits 'sessionChanged' (with the Session) after every login or refresh; each accessory
+// subscribes so one refresh serves the whole account.
+class DiffuserPlatform extends EventEmitter {
   constructor(log, config, api) {
+    super();
+    // One listener per accessory.
+    this.setMaxListeners(0);
     this.log = log;
     this.config = config;
     this.api = api;
     this.accessories = [];
+    // DiffuserAccessory handlers by nid, used to fan batch status out to each device.
+    this.diffusers = new Map();
+    // Current login (a Session shared with every accessory); `cookies` are the raw Set-Cookie
+    // values used by the web dashboard endpoints.
+    this.session = null;
+    this.sessionTimer = null;
+    this.discoveryAttempts = 0;
+    this.discoveryTimer = null;
+    // Set when logins are stopped (see login()); undefined until the saved block has been read.
+    this.loginBlock = undefined;
+    this.credentialFailures = 0;
+
+    const options = this.config || {};
+    this.batchPolling = options.batchPolling !== false;
+    // Sessions without a cookie expiry are refreshed once they are this old.
+    this.sessionMaxAge = Number(options.sessionRefreshHours) > 0 ? options.sessionRefreshHours * 60 * 60 * 1000 : undefined;
+    const seconds = value => (Number.isFinite(value) ? value * 1000 : undefined);
+    this.poller = new Poller(this.log, {
+      interval: seconds(options.pollInterval),
+      fastInterval: seconds(options.fastPollInterval),
+      fastWindow: seconds(options.fastPollWindow),
+      maxBackoff: seconds(options.maxPollBackoff)
+    });
+
+    // Transport for every cloud client: protocol plus optional CA bundle / certificate checking.
+    this.tls = { protocol: options.protocol };
+    if (options.caFile) {
+      try {
+        this.tls.ca = fs.readFileSync(options.caFile, 'utf8');
+      } catch (error) {
+        this.log.error(`Could not read caFile ${options.caFile}:`, error.message);
+      }
+    }
+    if (options.rejectUnauthorized === false) {
+      this.tls.rejectUnauthorized = false;
+      this.log.warn('TLS certificate verification is disabled (rejectUnauthorized: false).');
+    }
+
+    // Saved session, so restarts can skip the login. Off without a storage path or with persistSession: false.
+    const storagePath = this.api.user && this.api.user.storagePath ? this.api.user.storagePath() : null;
+    this.sessionStore = options.persistSession !== false && storagePath ? new SessionStore(this.log, storagePath) : null;
+    // Per-device records (oil history, refill log) are kept whenever there is a storage path;
+    // persistSession only covers the login.
+    this.deviceStore = storagePath ? new SessionStore(this.log, storagePath) : null;
+    // Records by nid for each kind, read on first use.
+    this.deviceRecords = {};
+    this.recordSaving = Promise.resolve();
 
     this.api.on('didFinishLaunching', () => {
       // Strict Auto-Discovery
       if (this.config.email && this.config.password) {
+        this.restoreCachedAccessories();
         this.log.info("Starting auto-discovery...");
         this.autoDiscover();
       } else {
         this.log.error('Please provide Email and Password in config.json');
       }
     });
+
+    this.api.on('shutdown', () => {
+      clearTimeout(this.discoveryTimer);
+      this.discoveryTimer = null;
+      clearTimeout(this.sessionTimer);
+      this.sessionTimer = null;
+      this.stopped = true;
+      this.poller.stop();
+      for (const diffuser of this.diffusers.values()) {
+        diffuser.dispose();
+      }
+    });
+  }
+
+  createAuthClient() {
+    return new AuthClient(this.log, this.config.region, this.config.customHost, { ...this.tls, protocol: this.sessionProtocol(this.session) });
+  }
+
+  // Protocol for clients of a session: the configured one, unless it is `auto` (or unset, for the
+  // region default) and the session has settled on one, so `auto` doesn't re-probe HTTPS.
+  sessionProtocol(session) {
+    if (this.tls.protocol && this.tls.protocol !== 'auto') {
+      return this.tls.protocol;
+    }
+    return (session && session.protocol) || this.tls.protocol;
   }
 
   configureAccessory(accessory) {
     this.accessories.push(accessory);
   }
 
+  get accountKey() {
+    return SessionStore.accountKey(this.config.email, this.config.region, this.config.customHost, {
+      protocol: this.config.protocol,
+      caFile: this.config.caFile,
+      rejectUnauthorized: this.config.rejectUnauthorized
+    });
+  }
+
   async autoDiscover() {
-    const auth = new AuthClient(this.log, this.config.region);
+    if (this.sessionStore) {
+      const stored = await this.sessionStore.load(this.accountKey);
+      if (stored && await this.resumeSession(stored)) {
+        return;
+      }
+    }
+
     try {
-      const creds = await auth.getCredentials(this.config.email, this.config.password);
+      const creds = await this.login();
       if (creds) {
         this.log.info(`Auto-discovery successful! Found Device NID: ${creds.nid}`);
         this.log.info(`Token: ${creds.token.substring(0, 10)}...`);
 
-        // Proceed to device registration with discovered devices.
-        this.discoverDevices(creds.devices, {
+        this.session = new Session({
           token: creds.token,
           uid: creds.uid,
-          sessionId: creds.sessionId
+          sessionId: creds.sessionId,
+          cookies: creds.cookies,
+          host: creds.host,
+          port: creds.port,
+          protocol: creds.protocol,
+          expiresAt: creds.expiresAt
         });
+
+        await this.saveSession(creds.devices);
+        this.scheduleSessionRefresh();
+        this.emit('sessionChanged', this.session);
+
+        // Proceed to device registration with discovered devices.
+        this.discoveryAttempts = 0;
+        this.discoverDevices(creds.devices, this.session);
       }
     } catch (error) {
       this.log.error("Auto-discovery failed: " + error.message);
+      this.scheduleDiscoveryRetry(error);
+    }
+  }
+
+  // Retries discovery with exponential backoff while the cloud is unreachable. Wrong
+  // credentials won't fix themselves, so those are not retried.
+  scheduleDiscoveryRetry(error) {
+    if (error instanceof AuthenticationError) {
+      return;
+    }
+    const delay = Math.min(MAX_DISCOVERY_RETRY_MS, DISCOVERY_RETRY_MS * Math.pow(2, this.discoveryAttempts));
+    this.discoveryAttempts++;
+    this.log.warn(`Retrying auto-discovery in ${Math.round(delay / 1000)}s.`);
+    clearTimeout(this.discoveryTimer);
+    this.discoveryTimer = setTimeout(() => {
+      this.discoveryTimer = null;
+      this.autoDiscover();
+    }, delay);
+  }
+
+  // Binds handlers to cached accessories straight away, from the device saved in their context,
+  // so they report No Response instead of hanging until discovery reaches the cloud. Accessories
+  // cached before that context existed are picked up by the first successful discovery.
+  restoreCachedAccessories() {
+    let restored = 0;
+    for (const accessory of this.accessories) {
+      const device = accessory.context.device;
+      if (!device || this.diffusers.has(device.nid) || this.deviceOverrides(device).exclude) {
+        continue;
+      }
+      const deviceConfig = { ...this.buildDeviceConfig(device, {}), name: accessory.displayName, offline: true, batchPolling: false };
+      this.diffusers.set(device.nid, new DiffuserAccessory(this, accessory, deviceConfig));
+      restored++;
+    }
+    if (restored) {
+      this.log.debug(`Bound ${restored} cached accessory(ies) until the cloud is reached.`);
+    }
+  }
+
+  // Registers devices from a saved session if the cloud still accepts it. Returns false when a
+  // full login is needed. If the cloud can't be reached to check, the saved session is used as
+  // is; a rejected session is then caught by the normal refresh on the first device call.
+  async resumeSession(stored) {
+    this.session = new Session({ issuedAt: stored.savedAt, ...stored.session });
+    let devices = stored.devices;
+    let page;
+    try {
+      page = await this.createAuthClient().validateSession(stored.session.cookies, stored.session.uid);
+    } catch (error) {
+      this.log.warn(`Could not validate saved session (${error.message}); using it until the cloud responds.`);
+      page = undefined;
+    }
+
+    if (page === null) {
+      this.log.info('Saved session was rejected; logging in again.');
+      this.session = null;
+      await this.sessionStore.clear();
+      return false;
+    }
+
+    // The first page reports the account's device count; re-read the list (no login needed) if it changed.
+    if (page && page.recordsTotal !== undefined && Number(page.recordsTotal) !== devices.length) {
+      try {
+        devices = await this.createAuthClient().fetchDevices(stored.session.cookies, stored.session.uid);
+        await this.saveSession(devices);
+      } catch (error) {
+        this.log.warn('Could not refresh the device list; using the saved one:', error.message);
+      }
+    }
+
+    this.log.info(`Resumed saved session (${devices.length} device(s)).`);
+    this.scheduleSessionRefresh();
+    this.emit('sessionChanged', this.session);
+    this.discoverDevices(devices, this.session);
+    return true;
+  }
+
+  async saveSession(devices) {
+    if (this.sessionStore && this.session) {
+      await this.sessionStore.save(this.accountKey, this.session, devices);
+    }
+  }
+
+  // Saved records of one kind ('oil', 'refills') for one device. Each file is read once and
+  // shared by every accessory.
+  async loadDeviceRecords(kind, nid) {
+    if (!this.deviceStore) {
+      return [];
+    }
+    if (!this.deviceRecords[kind]) {
+      this.deviceRecords[kind] = this.deviceStore.loadDeviceRecords(kind);
+    }
+    const records = await this.deviceRecords[kind];
+    return records[nid] || [];
+  }
+
+  // Saves are queued so accessories writing at the same time don't drop each other's records.
+  saveDeviceRecords(kind, nid, entries) {
+    if (!this.deviceStore) {
+      return Promise.resolve();
+    }
+    this.recordSaving = this.recordSaving.then(async () => {
+      await this.loadDeviceRecords(kind, nid);
+      const records = await this.deviceRecords[kind];
+      records[nid] = entries;
+      await this.deviceStore.saveDeviceRecords(kind, records);
+    });
+    return this.recordSaving;
+  }
+
+  // Logs in again shortly before the session expires (or once it is `sessionRefreshHours` old),
+  // so the first command after expiry doesn't wait for a login and a failed refresh is retried
+  // in the background rather than surfacing in the Home app.
+  scheduleSessionRefresh(delay) {
+    clearTimeout(this.sessionTimer);
+    this.sessionTimer = null;
+    if (!this.session || this.stopped) {
+      return;
+    }
+    if (delay === undefined) {
+      delay = Math.max(0, this.session.refreshAt(this.sessionMaxAge) - Date.now());
+    }
+    this.sessionTimer = setTimeout(() => this.refreshSessionAhead(), Math.min(delay, MAX_TIMER_MS));
+  }
+
+  async refreshSessionAhead() {
+    this.sessionTimer = null;
+    if (Date.now() < this.session.refreshAt(this.sessionMaxAge)) {
+      // Woke early because long waits are capped at MAX_TIMER_MS.
+      this.scheduleSessionRefresh();
+      return;
+    }
+    this.log.info(`Session is ${Math.round(this.session.age / 60000)} minutes old; refreshing ahead of expiry.`);
+    try {
+      await this.refreshSession();
+    } catch (error) {
+      if (error instanceof AuthenticationError) {
+        // Retrying would not help and could lock the account; device calls will report the failure.
+        return;
+      }
+      this.log.warn(`Background session refresh failed; retrying in ${SESSION_RETRY_MS / 60000} minutes.`);
+      this.scheduleSessionRefresh(SESSION_RETRY_MS);
     }
   }
 
@@ -60,72 +325,357 @@ class DiffuserPlatform {
   }
 
   async _executeRefresh() {
-    this.log.info("Session expired. Refreshing credentials...");
+    this.log.info("Refreshing session credentials...");
     if (!this.config.email || !this.config.password) {
       throw new Error("Cannot refresh session: No Email/Password configured.");
     }
 
-    const auth = new AuthClient(this.log, this.config.region);
     try {
-      const creds = await auth.getCredentials(this.config.email, this.config.password);
+      const creds = await this.login();
       this.log.info("Session refreshed successfully.");
+      // Updated in place: every accessory's client reads from this same object.
+      const fields = {
+        token: creds.token,
+        uid: creds.uid,
+        sessionId: creds.sessionId,
+        cookies: creds.cookies,
+        issuedAt: Date.now(),
+        expiresAt: creds.expiresAt || null
+      };
+      if (this.session) {
+        this.session.update(fields);
+      } else {
+        this.session = new Session({ ...fields, host: creds.host, port: creds.port, protocol: creds.protocol });
+      }
+      await this.saveSession(creds.devices);
+      this.scheduleSessionRefresh();
+      this.emit('sessionChanged', this.session);
       return {
         token: creds.token,
         uid: creds.uid,
         sessionId: creds.sessionId
       };
     } catch (error) {
-      this.log.error("Failed to refresh session:", error.message);
+      // A blocked login was already explained in the log when the block was set.
+      if (error instanceof LoginBlockedError) {
+        this.log.debug("Failed to refresh session:", error.message);
+      } else {
+        this.log.error("Failed to refresh session:", error.message);
+      }
+      throw error;
+    }
+  }
+
+  // Logs in with the configured account. After MAX_CREDENTIAL_FAILURES rejected logins in a row,
+  // or as soon as the account is locked or a captcha is requested, further logins are refused
+  // with a LoginBlockedError so retries can't lock the account. A credential block is saved with
+  // a fingerprint of the login settings and lasts until they change; the others last until restart.
+  async login() {
+    if (this.loginBlock === undefined) {
+      this.loginBlock = await this.loadLoginBlock();
+    }
+    if (this.loginBlock) {
+      throw new LoginBlockedError(`Login disabled: ${this.loginBlock.reason}`);
+    }
+
+    try {
+      const creds = await this.createAuthClient().getCredentials(this.config.email, this.config.password);
+      this.credentialFailures = 0;
+      return creds;
+    } catch (error) {
+      await this.recordLoginFailure(error);
       throw error;
     }
   }
 
+  async recordLoginFailure(error) {
+    let reason;
+    let guidance;
+    if (error instanceof InvalidCredentialsError) {
+      this.credentialFailures++;
+      if (this.credentialFailures < MAX_CREDENTIAL_FAILURES) {
+        this.log.error(`The LBSLM cloud rejected the email or password (${this.credentialFailures} of ${MAX_CREDENTIAL_FAILURES} attempts). Check them in the plugin settings.`);
+        return;
+      }
+      reason = `the email or password was rejected ${this.credentialFailures} times`;
+      guidance = 'Correct them in the plugin settings and restart Homebridge. No further logins will be attempted until the settings change, to avoid locking your account.';
+    } else if (error instanceof AccountLockedError) {
+      reason = 'the LBSLM account is locked';
+      guidance = 'Unlock it in the UPerfume app or wait for the lock to expire, then restart Homebridge.';
+    } else if (error instanceof CaptchaRequiredError) {
+      reason = 'the LBSLM cloud is asking for a captcha';
+      guidance = 'Log in once in the UPerfume app or the web dashboard, then restart Homebridge.';
+    } else {
+      return;
+    }
+
+    this.loginBlock = { reason, since: Date.now() };
+    this.log.error(`Login disabled because ${reason}. ${guidance}`);
+    if (error instanceof InvalidCredentialsError && this.sessionStore) {
+      const salt = crypto.randomBytes(16).toString('hex');
+      await this.sessionStore.saveLoginBlock({ ...this.loginBlock, salt, fingerprint: this.loginFingerprint(salt) });
+    }
+  }
+
+  // Salted hash of the login settings, so a saved block can tell when they change without storing the password.
+  loginFingerprint(salt) {
+    const settings = [this.config.email, this.config.password, this.config.region || '', this.config.customHost || ''];
+    return crypto.createHash('sha256').update(salt).update(JSON.stringify(settings)).digest('hex');
+  }
+
+  async loadLoginBlock() {
+    const block = this.sessionStore ? await this.sessionStore.loadLoginBlock() : null;
+    if (!block) {
+      return null;
+    }
+    if (!block.salt || block.fingerprint !== this.loginFingerprint(block.salt)) {
+      this.log.info('Login settings changed; logins are enabled again.');
+      await this.sessionStore.clearLoginBlock();
+      return null;
+    }
+    this.log.error(`Login disabled because ${block.reason}. Correct the email or password in the plugin settings and restart Homebridge.`);
+    return { reason: block.reason, since: block.since };
+  }
+
   discoverDevices(devices, sessionCreds) {
     // If we have a list of devices from auto-discovery, use them.
     if (devices && devices.length > 0) {
-      devices.forEach(device => {
-        const deviceConfig = {
-          name: device.nickname || device.deviceAlias || device.hsn || 'Smart Diffuser',
-          nid: device.nid.toString(),
-          token: sessionCreds.token,
-          username: this.config.email,
-          appid: this.config.appid || '19987617',
-          uid: sessionCreds.uid,
-          sessionId: sessionCreds.sessionId,
-          oilName: device.oilName,
-          model: (device.type && device.type.typeCode) ? device.type.typeCode : 'Smart Diffuser',
-          hsn: device.hsn
-        };
-        this.addAccessory(deviceConfig);
+      let registered = 0;
+      const included = devices.filter(device => {
+        if (this.deviceOverrides(device).exclude) {
+          this.log.info(`Skipping excluded device: ${device.nickname || device.hsn || device.nid}`);
+          return false;
+        }
+        return true;
+      });
+      included.forEach(device => {
+        if (this.addAccessory(this.buildDeviceConfig(device, sessionCreds), device)) {
+          registered++;
+        }
       });
+      this.log.info(`Found ${devices.length} device(s) on account, registered ${registered}.`);
+      if ([...this.diffusers.values()].some(diffuser => diffuser.config.batchPolling)) {
+        this.poller.add(BATCH_POLL_JOB, () => this.pollAll());
+      }
+      // Excluded devices count as gone, so a cached copy is removed from HomeKit. A list that
+      // stopped early says nothing about the devices it lacks.
+      if (devices.incomplete) {
+        this.log.warn('Keeping accessories missing from the incomplete device list.');
+      } else {
+        this.removeStaleAccessories(included);
+      }
     } else {
       // Should not happen with strict auto-discovery, but safety check.
       this.log.error("No devices found to register.");
     }
   }
 
-  addAccessory(deviceConfig) {
+  // Refreshes every batch-polled device from one /admin/amos/searchForWeb.do call instead of
+  // one /amosFragrance.do call per device. Devices missing from the list, or whose row lacks
+  // some status fields, fall back to their own poll.
+  async pollAll() {
+    const diffusers = [...this.diffusers.values()].filter(diffuser => diffuser.config.batchPolling);
+    let rows = [];
+    if (this.session && this.session.cookies) {
+      try {
+        const auth = this.createAuthClient();
+        rows = await auth.fetchDevices(this.session.cookies, this.session.uid);
+      } catch (error) {
+        this.log.debug('Batch poll failed, polling devices individually:', error.message);
+        // The dashboard answered with its login page: its cookies ran out before the proactive
+        // refresh, and every poll would otherwise fall back to one call per device.
+        if (error instanceof ParseError) {
+          this.log.info('Device list rejected the session cookies; refreshing the session.');
+          this.refreshSession().catch(() => {}); // Failures are logged by the refresh.
+        }
+      }
+    }
 
-    if (!deviceConfig.token || !deviceConfig.nid) {
-      this.log.error('Cannot register accessory: Missing token or NID from Auto-Discovery.');
+    const byNid = new Map(rows.map(row => [String(row.nid), row]));
+    let ok = true;
+    for (const diffuser of diffusers) {
+      const row = byNid.get(diffuser.nid);
+      const missing = row ? diffuser.applyStatus(row, true) : STATUS_FIELDS;
+      if (missing.length) {
+        this.log.debug(`Batch row for ${diffuser.nid} lacks ${missing.join(', ')}; polling device.`);
+        ok = (await diffuser.pollStatus()) && ok;
+      }
+      await diffuser.refreshTimersIfStale();
+    }
+    return ok;
+  }
+
+  // Unregisters cached accessories whose device is no longer on the account. Only called
+  // with a complete, non-empty device list, so an empty or partial cloud response never wipes the home.
+  // `staleAccessoryGraceHours` keeps a missing device around until it has been absent that long.
+  removeStaleAccessories(devices) {
+    if (this.config.removeStaleAccessories === false) {
       return;
     }
+
+    const graceMs = (Number(this.config.staleAccessoryGraceHours) || 0) * 60 * 60 * 1000;
+    const current = new Set(devices.map(device => this.api.hap.uuid.generate(device.nid.toString())));
+    const now = Date.now();
+    const stale = [];
+    const marked = [];
+
+    for (const accessory of this.accessories) {
+      if (current.has(accessory.UUID)) {
+        continue;
+      }
+      if (!accessory.context.missingSince) {
+        accessory.context.missingSince = now;
+        marked.push(accessory);
+      }
+      if (now - accessory.context.missingSince >= graceMs) {
+        stale.push(accessory);
+      } else {
+        this.log.info(`Accessory ${accessory.displayName} is no longer on the account; removing it after the grace period.`);
+      }
+    }
+
+    const pending = marked.filter(accessory => !stale.includes(accessory));
+    if (pending.length) {
+      this.api.updatePlatformAccessories(pending);
+    }
+    if (stale.length) {
+      stale.forEach(accessory => {
+        this.log.info('Removing stale accessory from cache:', accessory.displayName);
+        if (accessory.context.device) {
+          this.removeDiffuser(accessory.context.device.nid);
+        }
+      });
+      this.api.unregisterPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, stale);
+      this.accessories = this.accessories.filter(accessory => !stale.includes(accessory));
+    }
+  }
+
+  // Settings for one device's DiffuserAccessory: the login session plus global and per-device options.
+  buildDeviceConfig(device, sessionCreds) {
+    const overrides = this.deviceOverrides(device);
+    return {
+      name: overrides.name || device.nickname || device.deviceAlias || device.hsn || 'Smart Diffuser',
+      nid: device.nid.toString(),
+      // The shared session; accessories read token/uid/sessionId from it rather than keeping a copy.
+      session: sessionCreds,
+      username: this.config.email,
+      appid: this.config.appid || '19987617',
+      // Device commands must go to the same server the session was issued by.
+      region: this.config.region,
+      host: sessionCreds.host,
+      port: sessionCreds.port,
+      protocol: this.sessionProtocol(sessionCreds),
+      ca: this.tls.ca,
+      rejectUnauthorized: this.tls.rejectUnauthorized,
+      customHost: this.config.customHost,
+      requestTimeout: this.config.requestTimeout,
+      requestRetries: this.config.requestRetries,
+      retryWrites: this.config.retryWrites === true,
+      oilName: device.oilName,
+      scent: overrides.scent,
+      model: (device.type && device.type.typeCode) ? device.type.typeCode : 'Smart Diffuser',
+      hsn: device.hsn,
+      schedules: this.schedulesFor(device),
+      pruneSchedules: this.config.pruneSchedules === true,
+      serviceType: overrides.serviceType || this.config.serviceType,
+      intensityProfile: this.config.intensityProfile,
+      pauseControl: this.config.pauseControl,
+      lockControl: overrides.lockControl,
+      unlockDays: overrides.unlockDays,
+      relockAfterUnlock: overrides.relockAfterUnlock,
+      scheduleOverrideMinutes: overrides.scheduleOverrideMinutes,
+      refillSwitch: overrides.refillSwitch,
+      refillLevels: overrides.refillLevels,
+      oilSensor: overrides.oilSensor,
+      oilForecastSensor: overrides.oilForecastSensor,
+      mistingSensor: overrides.mistingSensor,
+      lowOilThreshold: overrides.lowOilThreshold,
+      lowOilSensor: overrides.lowOilSensor,
+      pollInterval: overrides.pollInterval,
+      // Devices with their own polling interval keep a per-device poll job.
+      batchPolling: this.batchPolling && !overrides.pollInterval
+    };
+  }
+
+  // Device fields kept in `accessory.context.device` so the accessory can be bound before discovery.
+  static cachedDevice(device) {
+    return {
+      nid: device.nid.toString(),
+      hsn: device.hsn,
+      nickname: device.nickname,
+      deviceAlias: device.deviceAlias,
+      oilName: device.oilName,
+      type: device.type && device.type.typeCode ? { typeCode: device.type.typeCode } : undefined
+    };
+  }
+
+  // Per-device settings from the `devices` config array, matched by nid or hsn.
+  deviceOverrides(device) {
+    const entries = Array.isArray(this.config.devices) ? this.config.devices : [];
+    const keys = [device.nid, device.hsn].filter(key => key !== undefined && key !== null).map(String);
+    return entries.find(entry => entry.id !== undefined && keys.includes(String(entry.id).trim())) || {};
+  }
+
+  // Schedules without an `nid` apply to every device on the account.
+  schedulesFor(device) {
+    const schedules = Array.isArray(this.config.schedules) ? this.config.schedules : [];
+    return schedules.filter(schedule => !schedule.nid || schedule.nid.toString() === device.nid.toString());
+  }
+
+  // Detaches a handler being replaced (e.g. an offline one after discovery) or removed.
+  removeDiffuser(nid) {
+    const diffuser = this.diffusers.get(nid);
+    if (diffuser) {
+      diffuser.dispose();
+      this.diffusers.delete(nid);
+    }
+  }
+
+  addAccessory(deviceConfig, device) {
+
+    const session = deviceConfig.session || deviceConfig;
+    if (!session.token || !deviceConfig.nid) {
+      this.log.error('Cannot register accessory: Missing token or NID from Auto-Discovery.');
+      return null;
+    }
     const uuid = this.api.hap.uuid.generate(deviceConfig.nid);
     const existingAccessory = this.accessories.find(accessory => accessory.UUID === uuid);
 
     if (existingAccessory) {
       this.log.info('Restoring existing accessory from cache:', existingAccessory.displayName);
+      let changed = false;
+      if (existingAccessory.context.missingSince) {
+        delete existingAccessory.context.missingSince;
+        changed = true;
+      }
       if (existingAccessory.displayName !== deviceConfig.name) {
         this.log.info(`Updating Accessory Name: ${existingAccessory.displayName} -> ${deviceConfig.name}`);
         existingAccessory.displayName = deviceConfig.name;
+        changed = true;
+      }
+      if (device) {
+        const cached = DiffuserPlatform.cachedDevice(device);
+        if (JSON.stringify(existingAccessory.context.device) !== JSON.stringify(cached)) {
+          existingAccessory.context.device = cached;
+          changed = true;
+        }
+      }
+      if (changed) {
         this.api.updatePlatformAccessories([existingAccessory]);
       }
-      new DiffuserAccessory(this, existingAccessory, deviceConfig);
+      this.removeDiffuser(deviceConfig.nid);
+      this.diffusers.set(deviceConfig.nid, new DiffuserAccessory(this, existingAccessory, deviceConfig));
+      return existingAccessory;
     } else {
       this.log.info('Adding new accessory:', deviceConfig.name);
       const accessory = new this.api.platformAccessory(deviceConfig.name, uuid);
-      new DiffuserAccessory(this, accessory, deviceConfig);
+      if (device) {
+        accessory.context.device = DiffuserPlatform.cachedDevice(device);
+      }
+      this.diffusers.set(deviceConfig.nid, new DiffuserAccessory(this, accessory, deviceConfig));
       this.api.registerPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [accessory]);
+      this.accessories.push(accessory);
+      return accessory;
     }
   }
 }
@@ -0,0 +1,120 @@
+// Platform-wide polling scheduler.
+//
+// Each job is an async task resolving to true (success) or false (failure). Jobs run on
+// their own interval with a little jitter so devices don't all hit the cloud at once,
+// poll faster for a short window after a write (`boost`), and back off exponentially
+// while their task keeps failing.
+
+const DEFAULTS = {
+    interval: 30000,
+    fastInterval: 5000,
+    fastWindow: 30000,
+    maxBackoff: 600000,
+    jitter: 0.1
+};
+
+class Poller {
+    constructor(log, options = {}) {
+        this.log = log;
+        this.options = { ...DEFAULTS };
+        for (const key of Object.keys(DEFAULTS)) {
+            if (Number.isFinite(options[key]) && options[key] >= 0) {
+                this.options[key] = options[key];
+            }
+        }
+        this.jobs = new Map();
+        this.stopped = false;
+    }
+
+    add(id, task, { interval } = {}) {
+        this.remove(id);
+        const job = {
+            id,
+            task,
+            interval: Number.isFinite(interval) && interval > 0 ? interval : this.options.interval,
+            failures: 0,
+            boostUntil: 0,
+            running: false,
+            timer: null
+        };
+        this.jobs.set(id, job);
+        this._schedule(job);
+        return job;
+    }
+
+    remove(id) {
+        const job = this.jobs.get(id);
+        if (job) {
+            clearTimeout(job.timer);
+            this.jobs.delete(id);
+        }
+    }
+
+    // Poll `id` at the fast interval for the next `fastWindow` ms (e.g. after a write).
+    boost(id) {
+        const job = this.jobs.get(id);
+        if (!job || this.stopped) {
+            return;
+        }
+        job.boostUntil = Date.now() + this.options.fastWindow;
+        if (!job.running) {
+            clearTimeout(job.timer);
+            job.timer = setTimeout(() => this._run(job), this.options.fastInterval);
+        }
+    }
+
+    stop() {
+        this.stopped = true;
+        for (const job of this.jobs.values()) {
+            clearTimeout(job.timer);
+        }
+        this.jobs.clear();
+    }
+
+    nextDelay(job) {
+        let delay = Date.now() < job.boostUntil ? this.options.fastInterval : job.interval;
+        if (job.failures > 0) {
+            delay = Math.min(this.options.maxBackoff, job.interval * Math.pow(2, job.failures));
+        }
+        const spread = delay * this.options.jitter;
+        return Math.max(0, Math.round(delay + (Math.random() * 2 - 1) * spread));
+    }
+
+    _schedule(job) {
+        if (this.stopped || this.jobs.get(job.id) !== job) {
+            return;
+        }
+        clearTimeout(job.timer);
+        job.timer = setTimeout(() => this._run(job), this.nextDelay(job));
+    }
+
+    async _run(job) {
+        if (job.running) {
+            return;
+        }
+        job.running = true;
+        let ok;
+        try {
+            ok = (await job.task()) !== false;
+        } catch (e) {
+            this.log.debug(`Poll job ${job.id} threw:`, e.message);
+            ok = false;
+        }
+        job.running = false;
+
+        if (ok) {
+            if (job.failures > 0) {
+                this.log.info(`Polling for ${job.id} recovered after ${job.failures} failure(s).`);
+            }
+            job.failures = 0;
+        } else {
+            job.failures++;
+            if (job.failures === 3) {
+                this.log.warn(`Polling for ${job.id} keeps failing; backing off.`);
+            }
+        }
+        this._schedule(job);
+    }
+}
+
+module.exports = Poller;
@@ -0,0 +1,87 @@
+// Cloud login session shared by the platform and every accessory's client. It is updated in
+// place on refresh, so all accessories pick up the new token/sessionId at once.
+
+const FIELDS = ['token', 'uid', 'sessionId', 'cookies', 'host', 'port', 'protocol', 'issuedAt', 'expiresAt'];
+
+// Without an expiry from the cloud, sessions are refreshed once they are this old.
+const DEFAULT_MAX_AGE = 12 * 60 * 60 * 1000;
+// With a known expiry, refresh this long before it (at most a tenth of the session's lifetime).
+const REFRESH_MARGIN = 10 * 60 * 1000;
+
+class Session {
+    constructor(fields = {}) {
+        this.token = null;
+        this.uid = null;
+        this.sessionId = null;
+        this.cookies = null;
+        this.issuedAt = Date.now();
+        this.expiresAt = null;
+        this.update(fields);
+    }
+
+    update(fields) {
+        for (const key of FIELDS) {
+            if (fields[key] !== undefined) {
+                this[key] = fields[key];
+            }
+        }
+        return this;
+    }
+
+    get age() {
+        return Date.now() - this.issuedAt;
+    }
+
+    // When to log in again ahead of expiry: shortly before `expiresAt` if the cloud sent one,
+    // otherwise once the session reaches `maxAge`.
+    refreshAt(maxAge = DEFAULT_MAX_AGE) {
+        if (this.expiresAt) {
+            const margin = Math.min(REFRESH_MARGIN, (this.expiresAt - this.issuedAt) / 10);
+            return this.expiresAt - margin;
+        }
+        return this.issuedAt + maxAge;
+    }
+
+    toJSON() {
+        const json = {};
+        for (const key of FIELDS) {
+            if (this[key] !== undefined) {
+                json[key] = this[key];
+            }
+        }
+        return json;
+    }
+}
+
+// Earliest expiry (ms since epoch) among Set-Cookie values with an Expires or Max-Age
+// attribute, or null if every cookie lasts for the browser session.
+function cookieExpiry(setCookies, now = Date.now()) {
+    let earliest = null;
+    for (const cookie of setCookies || []) {
+        let expires = null;
+        for (const attribute of cookie.split(';').slice(1)) {
+            const [name, ...rest] = attribute.split('=');
+            const key = name.trim().toLowerCase();
+            const value = rest.join('=').trim();
+            if (key === 'max-age' && /^-?\d+$/.test(value)) {
+                // Max-Age wins over Expires.
+                expires = now + Number(value) * 1000;
+                break;
+            }
+            if (key === 'expires') {
+                const parsed = Date.parse(value);
+                if (!Number.isNaN(parsed)) {
+                    expires = parsed;
+                }
+            }
+        }
+        if (expires !== null && expires > now && (earliest === null || expires < earliest)) {
+            earliest = expires;
+        }
+    }
+    return earliest;
+}
+
+module.exports = Session;
+module.exports.cookieExpiry = cookieExpiry;
+module.exports.DEFAULT_MAX_AGE = DEFAULT_MAX_AGE;
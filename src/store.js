@@ -0,0 +1,124 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const FILE_NAME = 'smart-diffuser-lbslm-session.json';
+// Written when logins are stopped after repeated credential failures; see DiffuserPlatform.login.
+const BLOCK_FILE_NAME = 'smart-diffuser-lbslm-login-block.json';
+// Per-device records, one file per kind, each an object keyed by device nid.
+const DEVICE_FILE_NAMES = {
+    // Oil level samples; see OilHistory.
+    oil: 'smart-diffuser-lbslm-oil-history.json',
+    // Refills logged from the Refill Oil switch; see DiffuserAccessory.logRefill.
+    refills: 'smart-diffuser-lbslm-refills.json'
+};
+// The file holds live session cookies, so only the Homebridge user may read it.
+const FILE_MODE = 0o600;
+
+// Persists the cloud session (token, uid, sessionId, cookies) and the last device list in the
+// Homebridge storage path so a restart can skip the login. A stored session is tied to the
+// account, endpoint and transport settings it came from; changing any of them makes `load` ignore it.
+// The login block and per-device records live in their own files next to it.
+class SessionStore {
+    constructor(log, storagePath) {
+        this.log = log;
+        this.file = path.join(storagePath, FILE_NAME);
+        this.blockFile = path.join(storagePath, BLOCK_FILE_NAME);
+        this.deviceFiles = {};
+        for (const [kind, name] of Object.entries(DEVICE_FILE_NAMES)) {
+            this.deviceFiles[kind] = path.join(storagePath, name);
+        }
+    }
+
+    // `transport` is { protocol, caFile, rejectUnauthorized } from the config.
+    static accountKey(email, region, customHost, transport = {}) {
+        return [
+            email, region || '', customHost || '',
+            transport.protocol || '', transport.caFile || '', transport.rejectUnauthorized === false ? 'unverified' : ''
+        ].join('|');
+    }
+
+    async load(account) {
+        const stored = await this._read(this.file, 'saved session');
+        if (!stored || stored.account !== account || !stored.session || !Array.isArray(stored.devices)) {
+            return null;
+        }
+        // A partial list stays marked as such, so it never removes accessories after a restart.
+        if (stored.devicesIncomplete) {
+            stored.devices.incomplete = true;
+        }
+        return { session: stored.session, devices: stored.devices, savedAt: stored.savedAt };
+    }
+
+    async save(account, session, devices) {
+        const devicesIncomplete = Boolean(devices && devices.incomplete);
+        await this._write(this.file, { account, savedAt: Date.now(), session, devices, devicesIncomplete }, 'session');
+    }
+
+    async clear() {
+        await this._remove(this.file, 'saved session');
+    }
+
+    async loadLoginBlock() {
+        return this._read(this.blockFile, 'login block');
+    }
+
+    async saveLoginBlock(block) {
+        await this._write(this.blockFile, block, 'login block');
+    }
+
+    async clearLoginBlock() {
+        await this._remove(this.blockFile, 'login block');
+    }
+
+    async loadDeviceRecords(kind) {
+        const stored = await this._read(this.deviceFiles[kind], `${kind} records`);
+        return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+    }
+
+    async saveDeviceRecords(kind, records) {
+        await this._write(this.deviceFiles[kind], records, `${kind} records`);
+    }
+
+    async _read(file, what) {
+        let raw;
+        try {
+            raw = await fs.readFile(file, 'utf8');
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                this.log.warn(`Could not read ${what}:`, e.message);
+            }
+            return null;
+        }
+        try {
+            return JSON.parse(raw);
+        } catch (e) {
+            this.log.warn(`Ignoring corrupt ${what} file.`);
+            return null;
+        }
+    }
+
+    async _write(file, value, what) {
+        try {
+            await fs.writeFile(file, JSON.stringify(value, null, 2), { mode: FILE_MODE });
+            // `mode` only applies when the file is created; tighten an existing file too.
+            await fs.chmod(file, FILE_MODE);
+        } catch (e) {
+            this.log.warn(`Could not save ${what}:`, e.message);
+        }
+    }
+
+    async _remove(file, what) {
+        try {
+            await fs.unlink(file);
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                this.log.warn(`Could not remove ${what}:`, e.message);
+            }
+        }
+    }
+}
+
+module.exports = SessionStore;
+module.exports.FILE_NAME = FILE_NAME;
+module.exports.BLOCK_FILE_NAME = BLOCK_FILE_NAME;
+module.exports.DEVICE_FILE_NAMES = DEVICE_FILE_NAMES;
@@ -0,0 +1,147 @@
+// Fields the cloud stores per timer; everything else in a timer payload is informational.
+const SCHEDULE_FIELDS = ['start', 'stop', 'mode', 'run', 'suspend'];
+// Fields compared by time of day, as the cloud may echo "12:00" back as "12:00:00".
+const TIME_FIELDS = ['start', 'stop'];
+
+class TimerManager {
+    constructor(log, callApi) {
+        this.log = log;
+        this.callApi = callApi;
+    }
+
+    async list() {
+        const json = await this.callApi('/timerList.do', { isBluetooth: 0 });
+        return (json && Array.isArray(json.data)) ? json.data : [];
+    }
+
+    async create(schedule) {
+        this.validate(schedule);
+        this.log.info(`Creating timer "${schedule.name}" (${schedule.start}-${schedule.stop})`);
+        const params = { name: schedule.name };
+        for (const field of SCHEDULE_FIELDS) {
+            params[field] = schedule[field];
+        }
+        if (schedule.enabled !== undefined) {
+            params.status = schedule.enabled ? 1 : 0;
+        }
+        return this.callApi('/addTimer.do', params);
+    }
+
+    async update(timer, changes = {}) {
+        return this.callApi('/updateTimer.do', TimerManager.params(timer, changes));
+    }
+
+    async remove(timer) {
+        this.log.info(`Deleting timer "${timer.name}" (${timer.timerId})`);
+        return this.callApi('/deleteTimer.do', { timerId: timer.timerId });
+    }
+
+    validate(schedule) {
+        const missing = ['name', ...SCHEDULE_FIELDS].filter(field => schedule[field] === undefined || schedule[field] === '');
+        if (missing.length) {
+            throw new Error(`Schedule "${schedule.name || '(unnamed)'}" is missing: ${missing.join(', ')}`);
+        }
+    }
+
+    // Brings the cloud timer list in line with the configured schedules, matching by name.
+    // Timers that are not in config are only deleted when `prune` is set.
+    async reconcile(schedules, { prune = false } = {}) {
+        const timers = await this.list();
+        const result = { created: 0, updated: 0, deleted: 0, failed: 0 };
+        const names = new Set();
+
+        for (const schedule of schedules) {
+            names.add(schedule.name);
+            const timer = timers.find(t => t.name === schedule.name);
+            try {
+                if (!timer) {
+                    await this.create(schedule);
+                    result.created++;
+                    continue;
+                }
+
+                this.validate(schedule);
+                const changes = {};
+                for (const field of SCHEDULE_FIELDS) {
+                    if (!TimerManager.sameValue(field, timer[field], schedule[field])) {
+                        changes[field] = schedule[field];
+                    }
+                }
+                if (schedule.enabled !== undefined && schedule.enabled !== TimerManager.isEnabled(timer)) {
+                    changes.status = schedule.enabled ? 1 : 0;
+                }
+                if (Object.keys(changes).length) {
+                    this.log.info(`Updating timer "${timer.name}": ${Object.keys(changes).join(', ')}`);
+                    await this.update(timer, changes);
+                    result.updated++;
+                }
+            } catch (e) {
+                this.log.error(`Failed to apply schedule "${schedule.name}":`, e.message);
+                result.failed++;
+            }
+        }
+
+        if (prune) {
+            for (const timer of timers.filter(t => !names.has(t.name))) {
+                try {
+                    await this.remove(timer);
+                    result.deleted++;
+                } catch (e) {
+                    this.log.error(`Failed to delete timer "${timer.name}":`, e.message);
+                    result.failed++;
+                }
+            }
+        }
+
+        return result;
+    }
+
+    // Builds the full /updateTimer.do parameter set for a timer; the endpoint
+    // rewrites every field, so anything not overridden is copied from the timer.
+    static params(timer, overrides = {}) {
+        const params = {
+            timerId: timer.timerId,
+            uid: timer.uid,
+            name: timer.name,
+            start: timer.start,
+            stop: timer.stop,
+            mode: timer.mode,
+            run: timer.run,
+            suspend: timer.suspend
+        };
+        if (timer.status !== undefined) {
+            params.status = TimerManager.isEnabled(timer) ? 1 : 0;
+        }
+        return { ...params, ...overrides };
+    }
+
+    static sameValue(field, current, wanted) {
+        if (TIME_FIELDS.includes(field)) {
+            const time = TimerManager.parseTime(current);
+            if (time !== null && time === TimerManager.parseTime(wanted)) {
+                return true;
+            }
+        }
+        return String(current) === String(wanted);
+    }
+
+    // Seconds after midnight for "HH:MM" or "HH:MM:SS", or null.
+    static parseTime(value) {
+        const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(value === undefined || value === null ? '' : value).trim());
+        if (!match) {
+            return null;
+        }
+        const [hours, minutes, seconds] = [match[1], match[2], match[3] || 0].map(Number);
+        if (hours > 24 || minutes > 59 || seconds > 59) {
+            return null;
+        }
+        return hours * 3600 + minutes * 60 + seconds;
+    }
+
+    static isEnabled(timer) {
+        // The app reports the enabled flag as either a boolean or 0/1.
+        return timer.status === undefined || timer.status === true || Number(timer.status) === 1;
+    }
+}
+
+module.exports = TimerManager;
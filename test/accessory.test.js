@@ -7,10 +7,18 @@ const http = require('http');
 const mockLog = { info: sinon.stub(), error: sinon.stub(), warn: sinon.stub(), debug: sinon.stub() };
 
 const Service = {
-  Fan: 'Fan',
+  Fan: { UUID: 'fan' },
   FilterMaintenance: 'FilterMaintenance',
   AccessoryInformation: 'AccessoryInformation',
-  Switch: 'Switch'
+  Switch: 'Switch',
+  LightSensor: 'LightSensor',
+  LeakSensor: { UUID: 'leak-sensor' },
+  ContactSensor: { UUID: 'contact-sensor' },
+  OccupancySensor: { UUID: 'occupancy-sensor' },
+  MotionSensor: 'MotionSensor',
+  AirPurifier: 'AirPurifier',
+  HumidifierDehumidifier: 'HumidifierDehumidifier',
+  Lightbulb: 'Lightbulb'
 };
 
 const Characteristic = {
@@ -27,7 +35,20 @@ const Characteristic = {
     FILTER_OK: 0
   },
   FilterLifeLevel: 'FilterLifeLevel',
-  ResetFilterIndication: 'ResetFilterIndication'
+  ResetFilterIndication: 'ResetFilterIndication',
+  CurrentAmbientLightLevel: 'CurrentAmbientLightLevel',
+  LeakDetected: { LEAK_NOT_DETECTED: 0, LEAK_DETECTED: 1 },
+  ContactSensorState: { CONTACT_DETECTED: 0, CONTACT_NOT_DETECTED: 1 },
+  OccupancyDetected: { OCCUPANCY_NOT_DETECTED: 0, OCCUPANCY_DETECTED: 1 },
+  MotionDetected: 'MotionDetected',
+  Active: { toString: () => 'Active', INACTIVE: 0, ACTIVE: 1 },
+  CurrentAirPurifierState: { toString: () => 'CurrentAirPurifierState', INACTIVE: 0, IDLE: 1, PURIFYING_AIR: 2 },
+  TargetAirPurifierState: { toString: () => 'TargetAirPurifierState', MANUAL: 0, AUTO: 1 },
+  CurrentHumidifierDehumidifierState: { toString: () => 'CurrentHumidifierDehumidifierState', INACTIVE: 0, IDLE: 1, HUMIDIFYING: 2, DEHUMIDIFYING: 3 },
+  TargetHumidifierDehumidifierState: { toString: () => 'TargetHumidifierDehumidifierState', HUMIDIFIER_OR_DEHUMIDIFIER: 0, HUMIDIFIER: 1, DEHUMIDIFIER: 2 },
+  CurrentRelativeHumidity: 'CurrentRelativeHumidity',
+  WaterLevel: 'WaterLevel',
+  Brightness: 'Brightness'
 };
 
 const mockApi = {
@@ -36,7 +57,8 @@ const mockApi = {
     Characteristic,
     HapStatusError: class extends Error { },
     HAPStatus: { SERVICE_COMMUNICATION_FAILURE: 'FAIL' }
-  }
+  },
+  updatePlatformAccessories: sinon.stub()
 };
 
 describe('DiffuserAccessory (Platinum Standard)', () => {
@@ -58,7 +80,12 @@ describe('DiffuserAccessory (Platinum Standard)', () => {
     mockPlatform = {
       log: mockLog,
       api: mockApi,
-      refreshSession: sinon.stub().resolves({ token: 'new-token', uid: 'u', sessionId: 's' })
+      poller: { add: sinon.stub(), boost: sinon.stub(), remove: sinon.stub() },
+      on: sinon.stub(),
+      removeListener: sinon.stub(),
+      refreshSession: sinon.stub().resolves({ token: 'new-token', uid: 'u', sessionId: 's' }),
+      loadDeviceRecords: sinon.stub().resolves([]),
+      saveDeviceRecords: sinon.stub().resolves()
     };
 
     mockAccessory = {
@@ -90,18 +117,21 @@ describe('DiffuserAccessory (Platinum Standard)', () => {
     const fanService = createMockService();
     const filterService = createMockService();
     const switchService = createMockService('refill-oil-switch');
+    const pauseService = createMockService('pause-interval');
 
     // Persistent mock for AccessoryInformation to verify metadata initialization
     const accessoryInfoService = {
       setCharacteristic: sinon.stub().returnsThis(),
+      updateCharacteristic: sinon.stub(),
       getCharacteristic: sinon.stub().returns({ onSet: sinon.stub().returnsThis(), onGet: sinon.stub().returnsThis() })
     };
 
     // Helper to store/retrieve services
     const getOrAdd = (type, name, subtype) => {
+      if (type === 'Pause Interval' || name === 'Pause Interval') return pauseService;
       if (type === Service.Fan) return fanService;
       if (type === Service.FilterMaintenance) return filterService;
-      if (type === Service.Switch || name === 'Refill Oil') return switchService;
+      if (type === Service.Switch || type === 'Refill Oil' || name === 'Refill Oil') return switchService;
       if (type === 'AccessoryInformation' || (type && type.toString && type.toString() === 'AccessoryInformation')) {
         return accessoryInfoService;
       }
@@ -109,13 +139,16 @@ describe('DiffuserAccessory (Platinum Standard)', () => {
     };
 
     mockAccessory.getService.callsFake((type) => getOrAdd(type));
+    // Primary services are looked up by type with no subtype.
+    mockAccessory.getServiceById = sinon.stub().callsFake((type, subtype) => (type === Service.Fan && subtype === undefined ? fanService : null));
     mockAccessory.addService.callsFake((type, name, subtype) => {
       const s = getOrAdd(type, name, subtype);
       if (s) mockAccessory.services.push(s); // Track it
       return s;
     });
 
-    mockConfig = { nid: '12345', name: 'Test Diffuser', oilName: 'Test Scent', hsn: 'SN123' };
+    // Retries are covered in client.test.js; keep failure tests here to a single attempt.
+    mockConfig = { nid: '12345', name: 'Test Diffuser', oilName: 'Test Scent', hsn: 'SN123', requestRetries: 0 };
 
     // Stub pollStatus on PROTOTYPE to prevent constructor side-effect from polluting 'httpRequestStub' history
     // Or just reset history after creation. Resetting history is cleaner than prototype hacking.
@@ -224,6 +257,85 @@ describe('DiffuserAccessory (Platinum Standard)', () => {
     });
   });
 
+  describe('API Host', () => {
+    it('should use the host resolved at login', () => {
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, host: 'amos.cn.lbslm.com', region: 'US' });
+      assert.strictEqual(diffuser.client.host, 'amos.cn.lbslm.com');
+      assert.strictEqual(diffuser.client.appHeaders().Host, 'amos.cn.lbslm.com');
+    });
+
+    it('should fall back to the configured region', () => {
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, region: 'US' });
+      assert.strictEqual(diffuser.client.host, 'amos.us.lbslm.com');
+    });
+
+    it('should send commands to customHost including its port', async () => {
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, customHost: '127.0.0.1:3000' });
+      httpRequestStub.resetHistory();
+      httpRequestStub.returns({ on: sinon.stub(), write: sinon.stub(), end: sinon.stub() });
+      httpRequestStub.yields({
+        statusCode: 200,
+        on: (evt, cb) => { if (evt === 'data') cb(JSON.stringify({ status: '200' })); if (evt === 'end') cb(); }
+      });
+
+      await diffuser.setOn(true);
+
+      const options = httpRequestStub.firstCall.args[0];
+      assert.strictEqual(options.hostname, '127.0.0.1');
+      assert.strictEqual(options.port, 3000);
+      assert.strictEqual(options.headers.Host, '127.0.0.1:3000');
+    });
+  });
+
+  describe('Per-Device Options', () => {
+    it('should remove the cached lock characteristic when lockControl is false', () => {
+      const fanService = mockAccessory.getService(Service.Fan);
+      fanService.testCharacteristic.returns(true);
+      fanService.removeCharacteristic = sinon.stub();
+
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, lockControl: false });
+
+      assert.ok(fanService.removeCharacteristic.calledOnce);
+      assert.strictEqual(diffuser.lockEnabled, false);
+    });
+
+    it('should remove cached refill and oil services when disabled', async () => {
+      mockAccessory.removeService = sinon.stub();
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, refillSwitch: false, oilSensor: false });
+
+      assert.ok(mockAccessory.removeService.calledWith(mockAccessory.getService('Refill Oil')));
+      assert.ok(mockAccessory.removeService.calledWith(mockAccessory.getService(Service.FilterMaintenance)));
+      assert.strictEqual(diffuser.filterService, null);
+
+      // Refill still works without the oil service
+      httpRequestStub.resetHistory();
+      httpRequestStub.returns({ on: sinon.stub(), write: sinon.stub(), end: sinon.stub() });
+      httpRequestStub.yields({
+        statusCode: 200,
+        on: (evt, cb) => { if (evt === 'data') cb(JSON.stringify({ status: '200', data: true })); if (evt === 'end') cb(); }
+      });
+      await diffuser.resetFilter(1);
+      assert.strictEqual(diffuser.oilLevel, 100);
+    });
+
+    it('should use the configured low-oil threshold', async () => {
+      const filterService = mockAccessory.getService(Service.FilterMaintenance);
+      filterService.getCharacteristic(Characteristic.FilterChangeIndication).onGet.resetHistory();
+
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, lowOilThreshold: 30 });
+      const callback = filterService.getCharacteristic(Characteristic.FilterChangeIndication).onGet.firstCall.args[0];
+
+      diffuser.oilLevel = 25;
+      assert.strictEqual(await callback(), Characteristic.FilterChangeIndication.CHANGE_FILTER);
+    });
+
+    it('should poll at the configured interval', () => {
+      new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, pollInterval: 120 });
+
+      assert.deepStrictEqual(mockPlatform.poller.add.lastCall.args[2], { interval: 120000 });
+    });
+  });
+
   describe('Control Logic (setOn)', () => {
     it('should turn ON exactly and update On characteristic', async () => {
       const mockReq = { on: sinon.stub(), write: sinon.stub(), end: sinon.stub() };
@@ -308,6 +420,74 @@ describe('DiffuserAccessory (Platinum Standard)', () => {
     });
     });
 
+  describe('Pause Interval & Intensity Profile', () => {
+    const respond = (payload) => ({
+      statusCode: 200,
+      on: (evt, cb) => { if (evt === 'data') cb(JSON.stringify(payload)); if (evt === 'end') cb(); }
+    });
+
+    beforeEach(() => {
+      httpRequestStub.returns({ on: sinon.stub(), write: sinon.stub(), end: sinon.stub() });
+    });
+
+    it('should add a Pause Interval service by default', () => {
+      mockAccessory.getService.withArgs('Pause Interval').returns(null);
+      new DiffuserAccessory(mockPlatform, mockAccessory, mockConfig);
+
+      assert.ok(mockAccessory.addService.calledWith(Service.Fan, 'Pause Interval', 'pause-interval'));
+      assert.strictEqual(accessoryInstance.pauseService, mockAccessory.addService.lastCall.returnValue);
+    });
+
+    it('should remove a cached Pause Interval service when disabled', () => {
+      mockAccessory.removeService = sinon.stub();
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, pauseControl: false });
+
+      assert.strictEqual(diffuser.pauseService, undefined);
+      assert.ok(mockAccessory.removeService.calledWith(mockAccessory.getService('Pause Interval')));
+    });
+
+    it('should update only suspend from the Pause Interval slider', async () => {
+      httpRequestStub.onFirstCall().yields(respond({ status: '200', data: [{ timerId: 1, run: 30, suspend: 120 }] }));
+      httpRequestStub.onSecondCall().yields(respond({ status: '200' }));
+
+      await accessoryInstance.setPauseInterval(50);
+
+      const path = httpRequestStub.secondCall.args[0].path;
+      assert.ok(path.includes('/updateTimer.do'));
+      assert.ok(path.includes('suspend=300'), '50% should map to 300s suspend');
+      assert.ok(path.includes('run=30'), 'Run time must be preserved');
+      assert.strictEqual(await accessoryInstance.getPauseInterval(), 50);
+    });
+
+    it('should throw HAP error if the pause interval cannot be set', async () => {
+      httpRequestStub.yields({ statusCode: 500, on: (evt, cb) => { if (evt === 'end') cb(); } });
+      await assert.rejects(accessoryInstance.setPauseInterval(50), mockApi.hap.HapStatusError);
+      assert.ok(mockLog.error.calledWithMatch(/Failed to set pause interval/));
+    });
+
+    it('should move run and suspend together in the dutyCycle profile', async () => {
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, intensityProfile: 'dutyCycle' });
+      httpRequestStub.resetHistory();
+      httpRequestStub.onFirstCall().yields(respond({ status: '200', data: [{ timerId: 1, run: 30, suspend: 120 }] }));
+      httpRequestStub.onSecondCall().yields(respond({ status: '200' }));
+
+      await diffuser.setRotationSpeed(50);
+
+      const path = httpRequestStub.secondCall.args[0].path;
+      assert.ok(path.includes('run=75'), '50% duty curve should give 75s run');
+      assert.ok(path.includes('suspend=225'), 'and 225s suspend');
+      assert.strictEqual(await diffuser.getRotationSpeed(), 50);
+    });
+
+    it('should push suspend to the Pause Interval slider on poll', async () => {
+      httpRequestStub.yields(respond({ status: '200', data: { status: true, run: 30, suspend: 60 } }));
+
+      await accessoryInstance.pollStatus();
+
+      assert.ok(accessoryInstance.pauseService.updateCharacteristic.calledWith(Characteristic.RotationSpeed, 10));
+    });
+  });
+
   describe('Polling & Status', () => {
     it('should update all characteristics on poll', async () => {
       const mockReq = { on: sinon.stub(), write: sinon.stub(), end: sinon.stub() };
@@ -355,6 +535,990 @@ describe('DiffuserAccessory (Platinum Standard)', () => {
     });
     });
 
+  describe('Timer Schedules', () => {
+    let timerServices;
+
+    const respond = (payload) => ({
+      statusCode: 200,
+      on: (evt, cb) => { if (evt === 'data') cb(JSON.stringify(payload)); if (evt === 'end') cb(); }
+    });
+
+    beforeEach(() => {
+      timerServices = [];
+      mockAccessory.services = [];
+      mockAccessory.getServiceById = sinon.stub().callsFake((type, subtype) => timerServices.find(s => s.subtype === subtype));
+      mockAccessory.removeService = sinon.stub().callsFake((service) => {
+        timerServices = timerServices.filter(s => s !== service);
+        mockAccessory.services = mockAccessory.services.filter(s => s !== service);
+      });
+      mockAccessory.addService = sinon.stub().callsFake((type, name, subtype) => {
+        const service = {
+          UUID: type.UUID,
+          subtype,
+          displayName: name,
+          getCharacteristic: sinon.stub().returns({ onSet: sinon.stub().returnsThis(), onGet: sinon.stub().returnsThis() }),
+          testCharacteristic: sinon.stub().returns(false),
+          addCharacteristic: sinon.stub(),
+          updateCharacteristic: sinon.stub()
+        };
+        timerServices.push(service);
+        mockAccessory.services.push(service);
+        return service;
+      });
+      httpRequestStub.returns({ on: sinon.stub(), write: sinon.stub(), end: sinon.stub() });
+    });
+
+    it('should add a Fan service and a pause Fan for every timer in the list', async () => {
+      httpRequestStub.yields(respond({
+        status: '200',
+        data: [
+          { timerId: 1, name: 'Morning', run: 30, suspend: 120, status: 1 },
+          { timerId: 2, name: 'Evening', run: 60, suspend: 60, status: 0 }
+        ]
+      }));
+
+      await accessoryInstance.refreshTimers();
+
+      assert.deepStrictEqual(timerServices.map(s => s.subtype), ['timer-1', 'timer-1-pause', 'timer-2', 'timer-2-pause']);
+      assert.ok(mockAccessory.addService.calledWith(Service.Fan, 'Evening', 'timer-2'));
+      assert.ok(mockAccessory.addService.calledWith(Service.Fan, 'Evening Pause', 'timer-2-pause'));
+      assert.ok(timerServices[0].updateCharacteristic.calledWith(Characteristic.On, true));
+      assert.ok(timerServices[2].updateCharacteristic.calledWith(Characteristic.On, false));
+      assert.ok(timerServices[2].updateCharacteristic.calledWith(Characteristic.RotationSpeed, 20));
+      assert.ok(timerServices[1].updateCharacteristic.calledWith(Characteristic.RotationSpeed, 20), '120s suspend');
+      assert.strictEqual(accessoryInstance.timerCache.timerId, 1, 'First timer still drives the main slider');
+    });
+
+    it('should remove services for timers deleted in the app', async () => {
+      httpRequestStub.yields(respond({ status: '200', data: [{ timerId: 1, name: 'Morning' }, { timerId: 2, name: 'Evening' }] }));
+      await accessoryInstance.refreshTimers();
+
+      httpRequestStub.yields(respond({ status: '200', data: [{ timerId: 2, name: 'Evening' }] }));
+      await accessoryInstance.refreshTimers();
+
+      assert.ok(mockAccessory.removeService.calledTwice);
+      assert.deepStrictEqual(timerServices.map(s => s.subtype), ['timer-2', 'timer-2-pause']);
+      assert.strictEqual(mockAccessory.addService.callCount, 4, 'Existing timer services are reused');
+    });
+
+    it('should replace the Switch of a cached timer with a Fan', async () => {
+      const cachedSwitch = mockAccessory.addService(Service.Switch, 'Morning', 'timer-1');
+      httpRequestStub.yields(respond({ status: '200', data: [{ timerId: 1, name: 'Morning' }] }));
+      mockAccessory.getServiceById.callsFake((type, subtype) => timerServices.find(s => s.subtype === subtype && s.UUID === type.UUID));
+
+      await accessoryInstance.refreshTimers();
+
+      assert.ok(mockAccessory.removeService.calledOnceWith(cachedSwitch));
+      assert.deepStrictEqual(timerServices.map(s => s.UUID), ['fan', 'fan']);
+    });
+
+    it('should leave out the pause Fans without pauseControl', async () => {
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, pauseControl: false });
+      diffuser.timers = [{ timerId: 1, name: 'Morning' }];
+
+      diffuser.syncTimerServices();
+
+      assert.deepStrictEqual(timerServices.map(s => s.subtype).filter(subtype => subtype && subtype.startsWith('timer-')), ['timer-1']);
+    });
+
+    it('should keep existing services if the timer list cannot be fetched', async () => {
+      httpRequestStub.yields(respond({ status: '200', data: [{ timerId: 1, name: 'Morning' }] }));
+      await accessoryInstance.refreshTimers();
+
+      httpRequestStub.yields({ statusCode: 500, on: (evt, cb) => { if (evt === 'end') cb(); } });
+      await accessoryInstance.refreshTimers();
+
+      assert.ok(mockAccessory.removeService.notCalled);
+      assert.ok(mockLog.debug.calledWithMatch(/Timer sync failed/));
+    });
+
+    it('should enable/disable a timer via updateTimer.do preserving its other fields', async () => {
+      accessoryInstance.timers = [{ timerId: 7, uid: 'u', name: 'Evening', start: '18:00', stop: '22:00', mode: 1, run: 30, suspend: 90, status: 1 }];
+      httpRequestStub.yields(respond({ status: '200' }));
+
+      await accessoryInstance.setTimerEnabled(7, false);
+
+      const path = httpRequestStub.firstCall.args[0].path;
+      assert.ok(path.includes('/updateTimer.do'));
+      assert.ok(path.includes('timerId=7'));
+      assert.ok(path.includes('status=0'));
+      assert.ok(path.includes('run=30'));
+      assert.ok(path.includes('suspend=90'));
+      assert.strictEqual(accessoryInstance.timers[0].status, 0);
+    });
+
+    it('should set a timer run time from its own slider', async () => {
+      accessoryInstance.timers = [{ timerId: 7, name: 'Evening', run: 30, suspend: 90 }];
+      httpRequestStub.yields(respond({ status: '200' }));
+
+      await accessoryInstance.setTimerIntensity(7, 50);
+
+      const path = httpRequestStub.firstCall.args[0].path;
+      assert.ok(path.includes('run=150'));
+      assert.ok(path.includes('suspend=90'));
+    });
+
+    it('should set a timer pause time from its own slider', async () => {
+      accessoryInstance.timers = [{ timerId: 7, name: 'Evening', run: 30, suspend: 90 }];
+      httpRequestStub.yields(respond({ status: '200' }));
+
+      await accessoryInstance.setTimerPause(7, 50);
+
+      const path = httpRequestStub.firstCall.args[0].path;
+      assert.ok(path.includes('run=30'));
+      assert.ok(path.includes('suspend=300'));
+      assert.strictEqual(accessoryInstance.timers[0].suspend, 300);
+    });
+
+    it('should reconcile configured schedules once before the first sync', async () => {
+      mockConfig.schedules = [{ name: 'Morning', start: '08:00', stop: '10:00', mode: 1, run: 30, suspend: 120 }];
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, mockConfig);
+      const reconcileStub = sinon.stub(diffuser.timerManager, 'reconcile').resolves({ created: 1, updated: 0, deleted: 0, failed: 0 });
+      sinon.stub(diffuser.timerManager, 'list').resolves([]);
+
+      await diffuser.refreshTimers();
+      await diffuser.refreshTimers();
+
+      assert.ok(reconcileStub.calledOnce);
+      assert.strictEqual(reconcileStub.firstCall.args[0], mockConfig.schedules);
+    });
+
+    it('should throw HAP error when the timer no longer exists', async () => {
+      accessoryInstance.timers = [];
+      await assert.rejects(accessoryInstance.setTimerEnabled(99, true), mockApi.hap.HapStatusError);
+      assert.ok(httpRequestStub.notCalled);
+    });
+  });
+
+  describe('Batch Status', () => {
+    it('should apply only the fields present in a batch row', () => {
+      const fanService = mockAccessory.getService(Service.Fan);
+      const filterService = mockAccessory.getService(Service.FilterMaintenance);
+      fanService.updateCharacteristic.resetHistory();
+      accessoryInstance.oilLevel = 80;
+
+      const missing = accessoryInstance.applyStatus({ nid: '12345', status: true, lockMark: false }, true);
+
+      assert.deepStrictEqual(missing, ['liquidLevel', 'run']);
+      assert.ok(fanService.updateCharacteristic.calledWith(Characteristic.On, true));
+      assert.ok(fanService.updateCharacteristic.neverCalledWith(Characteristic.RotationSpeed, sinon.match.any));
+      assert.ok(filterService.updateCharacteristic.neverCalledWith(Characteristic.FilterLifeLevel, sinon.match.any));
+      assert.strictEqual(accessoryInstance.oilLevel, 80, 'Missing fields keep their cached value');
+    });
+
+    it('should not register its own poll job in batch mode', () => {
+      mockPlatform.poller.add.resetHistory();
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, batchPolling: true });
+
+      assert.ok(mockPlatform.poller.add.notCalled);
+      assert.strictEqual(diffuser.pollJobId, DiffuserAccessory.BATCH_POLL_JOB);
+    });
+
+    it('should only re-read timers once they are stale', async () => {
+      const clock = sinon.useFakeTimers(Date.now());
+      const refreshStub = sinon.stub(accessoryInstance, 'refreshTimers').resolves();
+      accessoryInstance.timersSyncedAt = Date.now();
+
+      await accessoryInstance.refreshTimersIfStale();
+      assert.ok(refreshStub.notCalled);
+
+      clock.tick(5 * 60 * 1000);
+      await accessoryInstance.refreshTimersIfStale();
+      assert.ok(refreshStub.calledOnce);
+
+      clock.restore();
+    });
+  });
+
+  describe('Service Type', () => {
+    // Primary service mock that keeps one characteristic mock per type, so handlers can be read back.
+    const createPrimary = () => {
+      const characteristics = new Map();
+      return {
+        characteristics,
+        getCharacteristic: sinon.stub().callsFake((type) => {
+          if (!characteristics.has(type)) {
+            characteristics.set(type, { onGet: sinon.stub().returnsThis(), onSet: sinon.stub().returnsThis(), setProps: sinon.stub().returnsThis() });
+          }
+          return characteristics.get(type);
+        }),
+        testCharacteristic: sinon.stub().returns(false),
+        addCharacteristic: sinon.stub(),
+        updateCharacteristic: sinon.stub(),
+        addLinkedService: sinon.stub()
+      };
+    };
+    const handler = (service, type, kind = 'onGet') => service.characteristics.get(type)[kind].firstCall.args[0];
+
+    beforeEach(() => {
+      // The default mock always has a cached Fan primary.
+      mockAccessory.removeService = sinon.stub();
+    });
+
+    it('should expose an air purifier with Active, state, lock and the linked oil filter', async () => {
+      const primary = createPrimary();
+      mockAccessory.addService.withArgs(Service.AirPurifier).returns(primary);
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, serviceType: 'airPurifier' });
+      const callStub = sinon.stub(diffuser, '_callApi').resolves({ status: '200' });
+
+      assert.strictEqual(diffuser.service, primary);
+      assert.ok(primary.addCharacteristic.calledWith(Characteristic.LockPhysicalControls));
+      assert.ok(primary.addLinkedService.calledWith(mockAccessory.getService(Service.FilterMaintenance)));
+      assert.ok(primary.characteristics.get(Characteristic.TargetAirPurifierState).setProps.calledWith({ validValues: [0] }));
+
+      await handler(primary, Characteristic.Active, 'onSet')(1);
+      assert.ok(callStub.calledWith('/openFragrance.do'));
+      assert.strictEqual(await handler(primary, Characteristic.Active)(), 1);
+      assert.ok(primary.updateCharacteristic.calledWith(Characteristic.CurrentAirPurifierState, 2));
+
+      diffuser.applyStatus({ status: false, run: 90 }, true);
+      assert.ok(primary.updateCharacteristic.calledWith(Characteristic.Active, 0));
+      assert.ok(primary.updateCharacteristic.calledWith(Characteristic.CurrentAirPurifierState, 0));
+      assert.ok(primary.updateCharacteristic.calledWith(Characteristic.RotationSpeed, 30));
+    });
+
+    it('should expose a humidifier with the oil level as its water level', () => {
+      const primary = createPrimary();
+      mockAccessory.addService.withArgs(Service.HumidifierDehumidifier).returns(primary);
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, serviceType: 'humidifier' });
+
+      diffuser.applyStatus({ status: true, liquidLevel: 42 }, true);
+
+      assert.ok(primary.characteristics.get(Characteristic.TargetHumidifierDehumidifierState).setProps.calledWith({ validValues: [1] }));
+      assert.strictEqual(handler(primary, Characteristic.CurrentRelativeHumidity)(), 0);
+      assert.ok(primary.updateCharacteristic.calledWith(Characteristic.WaterLevel, 42));
+      assert.ok(primary.updateCharacteristic.calledWith(Characteristic.CurrentHumidifierDehumidifierState, 2));
+    });
+
+    it('should use Brightness for intensity on a lightbulb and move the lock to its own switch', async () => {
+      const primary = createPrimary();
+      const lockSwitch = createPrimary();
+      mockAccessory.addService.withArgs(Service.Lightbulb).returns(primary);
+      mockAccessory.addService.withArgs(Service.Switch, 'Child Lock', 'child-lock').returns(lockSwitch);
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, serviceType: 'lightbulb' });
+      const callStub = sinon.stub(diffuser, '_callApi').resolves({ status: '200' });
+
+      diffuser.applyStatus({ status: true, run: 90, lockMark: true }, true);
+
+      assert.strictEqual(diffuser.lockService, lockSwitch);
+      assert.ok(primary.addCharacteristic.notCalled);
+      assert.ok(lockSwitch.updateCharacteristic.calledWith(Characteristic.On, true), 'The switch is on while locked');
+      await handler(lockSwitch, Characteristic.On, 'onSet')(false);
+      assert.ok(callStub.calledWith('/admin/amos/deviceUnlock.do'));
+      assert.ok(primary.characteristics.get(Characteristic.Brightness).onSet.calledOnce);
+      assert.ok(primary.updateCharacteristic.calledWith(Characteristic.On, true));
+      assert.ok(primary.updateCharacteristic.calledWith(Characteristic.Brightness, 30));
+    });
+
+    it('should expose a plain switch without intensity', () => {
+      const primary = createPrimary();
+      mockAccessory.addService.withArgs(Service.Switch, undefined).returns(primary);
+      mockAccessory.addService.withArgs(Service.Switch).returns(primary);
+      mockAccessory.addService.withArgs(Service.Switch, 'Child Lock', 'child-lock').returns(createPrimary());
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, serviceType: 'switch', refillSwitch: false });
+
+      diffuser.applyStatus({ status: true, run: 90 }, true);
+
+      assert.strictEqual(diffuser.service, primary);
+      assert.notStrictEqual(diffuser.lockService, primary);
+      assert.deepStrictEqual([...primary.characteristics.keys()], [Characteristic.On]);
+      assert.ok(primary.updateCharacteristic.neverCalledWith(Characteristic.RotationSpeed, sinon.match.any));
+    });
+
+    it('should replace a cached primary service of another type', () => {
+      const cachedFan = mockAccessory.getService(Service.Fan);
+      mockAccessory.addService.withArgs(Service.AirPurifier).returns(createPrimary());
+
+      new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, serviceType: 'airPurifier' });
+
+      assert.ok(mockAccessory.removeService.calledOnceWith(cachedFan));
+      assert.ok(mockAccessory.getServiceById.calledWith(Service.Switch, undefined), 'Only a Switch without a subtype can be a primary');
+    });
+
+    it('should report an idle purifier between bursts', () => {
+      const clock = sinon.useFakeTimers({ now: new Date(2026, 0, 5, 8, 1).getTime(), toFake: ['Date', 'setTimeout', 'clearTimeout'] });
+      const primary = createPrimary();
+      mockAccessory.addService.withArgs(Service.AirPurifier).returns(primary);
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, serviceType: 'airPurifier' });
+      diffuser.timers = [{ timerId: 1, start: '08:00', stop: '10:00', run: 30, suspend: 90, status: 1 }];
+      diffuser.timersSyncedAt = Date.now();
+
+      try {
+        diffuser.applyStatus({ status: true }, true);
+        assert.ok(primary.updateCharacteristic.lastCall.calledWith(Characteristic.CurrentAirPurifierState, 1));
+        assert.strictEqual(handler(primary, Characteristic.CurrentAirPurifierState)(), 1);
+
+        clock.tick(60 * 1000);
+        assert.ok(primary.updateCharacteristic.lastCall.calledWith(Characteristic.CurrentAirPurifierState, 2));
+      } finally {
+        diffuser.dispose();
+        clock.restore();
+      }
+    });
+
+    it('should remove a cached Child Lock switch once the lock fits on the primary again', () => {
+      const cached = { name: 'Child Lock' };
+      mockAccessory.getService.withArgs('Child Lock').returns(cached);
+
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, mockConfig);
+
+      assert.ok(mockAccessory.removeService.calledWith(cached));
+      assert.strictEqual(diffuser.lockService, diffuser.service);
+    });
+
+    it('should fall back to a fan for an unknown type', () => {
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, serviceType: 'toaster' });
+
+      assert.strictEqual(diffuser.serviceType, 'fan');
+      assert.strictEqual(diffuser.service, mockAccessory.getService(Service.Fan));
+    });
+  });
+
+  describe('Misting State', () => {
+    const burst = { timerId: 1, name: 'Morning', start: '08:00', stop: '10:00', mode: 1, run: 30, suspend: 90, status: 1 };
+    let clock;
+    let sensor;
+    let diffuser;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({ now: new Date(2026, 0, 5, 8, 0, 10).getTime(), toFake: ['Date', 'setTimeout', 'clearTimeout'] });
+      sensor = { getCharacteristic: sinon.stub().returns({ onGet: sinon.stub().returnsThis() }), updateCharacteristic: sinon.stub() };
+      mockAccessory.addService.withArgs(Service.MotionSensor, 'Misting', 'misting').returns(sensor);
+      diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, mistingSensor: true });
+      diffuser.timers = [burst];
+      diffuser.timersSyncedAt = Date.now();
+    });
+
+    afterEach(() => {
+      diffuser.dispose();
+      clock.restore();
+    });
+
+    it('should follow the run and suspend phases while on', () => {
+      diffuser.applyStatus({ status: true }, true);
+      assert.strictEqual(diffuser.misting, true);
+      assert.ok(sensor.updateCharacteristic.lastCall.calledWith(Characteristic.MotionDetected, true));
+
+      clock.tick(20 * 1000);
+      assert.strictEqual(diffuser.misting, false);
+      assert.ok(sensor.updateCharacteristic.lastCall.calledWith(Characteristic.MotionDetected, false));
+
+      clock.tick(90 * 1000);
+      assert.strictEqual(diffuser.misting, true, 'The next burst starts after the pause');
+    });
+
+    it('should not mist while off or outside the timer window', () => {
+      diffuser.applyStatus({ status: false }, true);
+      assert.strictEqual(diffuser.misting, false);
+      assert.strictEqual(clock.countTimers(), 0, 'Nothing is scheduled while off');
+
+      clock.setSystemTime(new Date(2026, 0, 5, 11).getTime());
+      diffuser.applyStatus({ status: true }, true);
+      assert.strictEqual(diffuser.misting, false);
+      assert.strictEqual(sensor.getCharacteristic.firstCall.args[0], Characteristic.MotionDetected);
+    });
+
+    it('should count as misting while on until the timers are read', () => {
+      diffuser.timersSyncedAt = 0;
+
+      diffuser.applyStatus({ status: true }, true);
+
+      assert.strictEqual(diffuser.misting, true);
+    });
+
+    it('should re-check straight away when a timer is disabled', async () => {
+      diffuser.applyStatus({ status: true }, true);
+      sinon.stub(diffuser.timerManager, 'update').resolves();
+
+      await diffuser.setTimerEnabled(1, false);
+
+      assert.strictEqual(diffuser.misting, false);
+    });
+
+    it('should remove a cached sensor when turned off', () => {
+      const cached = { name: 'Misting' };
+      mockAccessory.getService.withArgs('Misting').returns(cached);
+      mockAccessory.removeService = sinon.stub();
+
+      const plain = new DiffuserAccessory(mockPlatform, mockAccessory, mockConfig);
+
+      assert.ok(mockAccessory.removeService.calledWith(cached));
+      assert.strictEqual(plain.mistingService, null);
+    });
+  });
+
+  describe('Timed Unlock', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({ now: Date.UTC(2026, 0, 1), toFake: ['Date'] });
+      mockApi.updatePlatformAccessories.resetHistory();
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should unlock for the configured days and remember when the period ends', async () => {
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, unlockDays: 3 });
+      const callStub = sinon.stub(diffuser, '_callApi').resolves({ status: '200' });
+
+      await diffuser.setLock(0);
+
+      assert.ok(callStub.calledOnceWith('/admin/amos/deviceUnlock.do', { days: 3, name: '' }));
+      assert.strictEqual(mockAccessory.context.unlockUntil, Date.UTC(2026, 0, 4));
+      assert.strictEqual(diffuser.unlockRemaining(), 3 * DAY);
+      assert.ok(mockApi.updatePlatformAccessories.calledOnceWith([mockAccessory]));
+
+      await diffuser.setLock(1);
+      assert.strictEqual(mockAccessory.context.unlockUntil, undefined);
+      assert.strictEqual(diffuser.unlockRemaining(), null);
+    });
+
+    it('should not record an end for an unlimited unlock', async () => {
+      const callStub = sinon.stub(accessoryInstance, '_callApi').resolves({ status: '200' });
+
+      await accessoryInstance.setLock(0);
+
+      assert.ok(callStub.calledOnceWith('/admin/amos/deviceUnlock.do', { days: 0, name: '' }));
+      assert.strictEqual(mockAccessory.context.unlockUntil, undefined);
+      assert.ok(mockApi.updatePlatformAccessories.notCalled);
+    });
+
+    it('should lock again once the period is over and the device is still unlocked', async () => {
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, unlockDays: 1 });
+      const callStub = sinon.stub(diffuser, '_callApi').resolves({ status: '200' });
+      await diffuser.setLock(0);
+
+      diffuser.applyStatus({ lockMark: false }, true);
+      assert.ok(callStub.calledOnce, 'Still within the unlock period');
+
+      clock.tick(DAY);
+      diffuser.applyStatus({ lockMark: false }, true);
+      diffuser.applyStatus({ lockMark: false }, true);
+      await new Promise(setImmediate);
+
+      assert.ok(callStub.calledTwice, 'One re-lock even if polls overlap');
+      assert.ok(callStub.secondCall.calledWith('/admin/amos/deviceLock.do'));
+      assert.strictEqual(mockAccessory.context.unlockUntil, undefined);
+      assert.ok(diffuser.service.updateCharacteristic.calledWith(Characteristic.LockPhysicalControls, 1));
+    });
+
+    it('should log the remaining unlock period when it changes', async () => {
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, unlockDays: 3 });
+      sinon.stub(diffuser, '_callApi').resolves({ status: '200' });
+      await diffuser.setLock(0);
+      mockLog.info.resetHistory();
+
+      clock.tick(DAY / 2);
+      diffuser.applyStatus({ lockMark: false }, true);
+      diffuser.applyStatus({ lockMark: false }, true);
+      assert.ok(mockLog.info.calledOnceWith('Test Diffuser: unlocked for another 3 day(s).'));
+
+      clock.tick(2 * DAY);
+      diffuser.applyStatus({ lockMark: false }, true);
+      assert.ok(mockLog.info.calledWith('Test Diffuser: unlocked for another 12 hour(s).'));
+    });
+
+    it('should leave the device unlocked when relockAfterUnlock is false', () => {
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, unlockDays: 1, relockAfterUnlock: false });
+      const callStub = sinon.stub(diffuser, '_callApi').resolves({ status: '200' });
+      mockAccessory.context.unlockUntil = Date.now() - 1;
+
+      diffuser.applyStatus({ lockMark: false }, true);
+
+      assert.ok(callStub.notCalled);
+    });
+
+    it('should forget the period when the cloud or app locks the device first', () => {
+      const callStub = sinon.stub(accessoryInstance, '_callApi').resolves({ status: '200' });
+      mockAccessory.context.unlockUntil = Date.now() + DAY;
+
+      accessoryInstance.applyStatus({ lockMark: true }, true);
+
+      assert.strictEqual(mockAccessory.context.unlockUntil, undefined);
+      assert.ok(callStub.notCalled);
+    });
+  });
+
+  describe('Schedule Override', () => {
+    const MINUTE = 60 * 1000;
+    let clock;
+    let cloudTimers;
+    let diffuser;
+
+    // The cloud's timer list; each list call returns fresh copies and updates write back to it.
+    const createDiffuser = (config = {}) => {
+      const created = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, scheduleOverrideMinutes: 30, ...config });
+      sinon.stub(created, '_callApi').resolves({ status: '200' });
+      sinon.stub(created.timerManager, 'list').callsFake(async () => cloudTimers.map(timer => ({ ...timer })));
+      sinon.stub(created.timerManager, 'update').callsFake(async (timer, changes) => {
+        Object.assign(cloudTimers.find(t => t.timerId === timer.timerId), changes);
+      });
+      return created;
+    };
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({ now: new Date(2026, 0, 5, 12, 0, 10).getTime(), toFake: ['Date', 'setTimeout', 'clearTimeout'] });
+      cloudTimers = [{ timerId: 1, uid: 'u', name: 'Morning', start: '08:00', stop: '10:00', mode: 2, run: 30, suspend: 90, status: 0 }];
+      mockApi.updatePlatformAccessories.resetHistory();
+      mockLog.error.resetHistory();
+      diffuser = createDiffuser();
+    });
+
+    afterEach(() => {
+      diffuser.dispose();
+      clock.restore();
+    });
+
+    it('should run the first timer from now and restore it when the time is up', async () => {
+      await diffuser.setOn(true);
+      await diffuser.overrideUpdate;
+
+      assert.ok(diffuser.timerManager.update.calledOnceWith(sinon.match({ timerId: 1 }), { start: '12:00', stop: '12:30', status: 1 }));
+      assert.deepStrictEqual(mockAccessory.context.scheduleOverride, {
+        timerId: 1, start: '08:00', stop: '10:00', status: 0, overrideStart: '12:00', overrideStop: '12:30', until: new Date(2026, 0, 5, 12, 30).getTime()
+      });
+      assert.ok(mockApi.updatePlatformAccessories.calledWith([mockAccessory]));
+      assert.strictEqual(diffuser.misting, true);
+
+      await clock.tickAsync(30 * MINUTE);
+
+      assert.ok(diffuser.timerManager.update.secondCall.calledWith(sinon.match({ timerId: 1 }), { start: '08:00', stop: '10:00', status: 0 }));
+      assert.deepStrictEqual(cloudTimers[0], { timerId: 1, uid: 'u', name: 'Morning', start: '08:00', stop: '10:00', mode: 2, run: 30, suspend: 90, status: 0 });
+      assert.strictEqual(mockAccessory.context.scheduleOverride, undefined);
+      assert.strictEqual(diffuser.misting, false);
+    });
+
+    it('should leave a window that is open for the whole override alone', async () => {
+      cloudTimers[0].status = 1;
+      clock.setSystemTime(new Date(2026, 0, 5, 8, 10).getTime());
+
+      await diffuser.setOn(true);
+      await diffuser.overrideUpdate;
+
+      assert.ok(diffuser.timerManager.update.notCalled);
+      assert.strictEqual(mockAccessory.context.scheduleOverride, undefined);
+    });
+
+    it('should extend an open window that ends too soon', async () => {
+      cloudTimers[0].status = 1;
+      clock.setSystemTime(new Date(2026, 0, 5, 9, 50, 15).getTime());
+
+      await diffuser.setOn(true);
+      await diffuser.overrideUpdate;
+
+      assert.ok(diffuser.timerManager.update.calledOnceWith(sinon.match({ timerId: 1 }), { start: '09:50', stop: '10:20', status: 1 }));
+      assert.strictEqual(mockAccessory.context.scheduleOverride.status, 1);
+    });
+
+    it('should restore the timer early when turned off, unless it was changed in the app', async () => {
+      await diffuser.setOn(true);
+      await diffuser.overrideUpdate;
+      await diffuser.setOn(false);
+      await diffuser.overrideUpdate;
+      assert.ok(diffuser.timerManager.update.calledTwice);
+      assert.strictEqual(cloudTimers[0].start, '08:00');
+
+      await diffuser.setOn(true);
+      await diffuser.overrideUpdate;
+      cloudTimers[0].stop = '13:00';
+      await diffuser.setOn(false);
+      await diffuser.overrideUpdate;
+
+      assert.ok(diffuser.timerManager.update.calledThrice, 'The edited timer is not restored');
+      assert.strictEqual(cloudTimers[0].stop, '13:00');
+      assert.strictEqual(mockAccessory.context.scheduleOverride, undefined);
+    });
+
+    it('should restore the timer when turned off before the move has landed', async () => {
+      let moved;
+      diffuser.timerManager.update.onFirstCall().callsFake((timer, changes) => new Promise(resolve => {
+        moved = () => resolve(Object.assign(cloudTimers[0], changes));
+      }));
+
+      await diffuser.setOn(true);
+      await diffuser.setOn(false);
+      await clock.tickAsync(0);
+      assert.ok(diffuser.timerManager.update.calledOnce, 'The end waits for the start');
+
+      moved();
+      await diffuser.overrideUpdate;
+
+      assert.ok(diffuser.timerManager.update.calledTwice);
+      assert.deepStrictEqual(cloudTimers[0], { timerId: 1, uid: 'u', name: 'Morning', start: '08:00', stop: '10:00', mode: 2, run: 30, suspend: 90, status: 0 });
+      assert.strictEqual(mockAccessory.context.scheduleOverride, undefined);
+    });
+
+    it('should restore a timer the cloud echoes back in another time format', async () => {
+      await diffuser.setOn(true);
+      await diffuser.overrideUpdate;
+      Object.assign(cloudTimers[0], { start: '12:00:00', stop: '12:30:00' });
+
+      await diffuser.setOn(false);
+      await diffuser.overrideUpdate;
+
+      assert.ok(diffuser.timerManager.update.secondCall.calledWith(sinon.match({ timerId: 1 }), { start: '08:00', stop: '10:00', status: 0 }));
+      assert.strictEqual(cloudTimers[0].start, '08:00');
+    });
+
+    it('should restore an override that ran out while Homebridge was down', async () => {
+      cloudTimers[0] = { ...cloudTimers[0], start: '11:00', stop: '11:30', status: 1 };
+      mockAccessory.context.scheduleOverride = {
+        timerId: 1, start: '08:00', stop: '10:00', status: 0, overrideStart: '11:00', overrideStop: '11:30', until: new Date(2026, 0, 5, 11, 30).getTime()
+      };
+
+      await diffuser.refreshTimers();
+      await clock.tickAsync(0);
+
+      assert.ok(diffuser.timerManager.update.calledOnceWith(sinon.match({ timerId: 1 }), { start: '08:00', stop: '10:00', status: 0 }));
+      assert.strictEqual(mockAccessory.context.scheduleOverride, undefined);
+    });
+
+    it('should keep the power change when the timer cannot be moved', async () => {
+      diffuser.timerManager.update.rejects(new Error('boom'));
+
+      await diffuser.setOn(true);
+      await diffuser.overrideUpdate;
+
+      assert.strictEqual(diffuser.isOn, true);
+      assert.strictEqual(mockAccessory.context.scheduleOverride, undefined);
+      assert.ok(mockLog.error.calledWith('Failed to update the schedule override:', 'boom'));
+    });
+
+    it('should answer HomeKit before the timer has been moved', async () => {
+      let listed;
+      diffuser.timerManager.list.returns(new Promise(resolve => { listed = resolve; }));
+
+      await diffuser.setOn(true);
+      assert.ok(diffuser.timerManager.update.notCalled, 'The power change does not wait for the timer list');
+
+      listed(cloudTimers.map(timer => ({ ...timer })));
+      await diffuser.overrideUpdate;
+      assert.ok(diffuser.timerManager.update.calledOnce);
+    });
+
+    it('should leave the schedule alone without scheduleOverrideMinutes', async () => {
+      const plain = createDiffuser({ scheduleOverrideMinutes: undefined });
+
+      await plain.setOn(true);
+      await plain.overrideUpdate;
+
+      assert.ok(plain.timerManager.list.notCalled);
+    });
+  });
+
+  describe('Partial Refill', () => {
+    const createSwitch = (subtype) => ({
+      subtype,
+      getCharacteristic: sinon.stub().returns({ onGet: sinon.stub().returnsThis(), onSet: sinon.stub().returnsThis() }),
+      updateCharacteristic: sinon.stub()
+    });
+
+    it('should add one switch per valid configured level', () => {
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, refillLevels: [50, 50, 0, 75, 101, 'x'] });
+
+      assert.ok(mockAccessory.addService.calledWith(Service.Switch, 'Refill 50%', 'refill-50'));
+      assert.ok(mockAccessory.addService.calledWith(Service.Switch, 'Refill 75%', 'refill-75'));
+      assert.strictEqual(diffuser.refillLevelSwitches.length, 2);
+    });
+
+    it('should set the chosen level and turn the switch back off', async () => {
+      const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['setTimeout'] });
+      const refill50 = createSwitch('refill-50');
+      mockAccessory.addService.withArgs(Service.Switch, 'Refill 50%', 'refill-50').returns(refill50);
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, refillLevels: [50] });
+      diffuser.oilLevel = 20;
+
+      httpRequestStub.resetHistory();
+      httpRequestStub.returns({ on: sinon.stub(), write: sinon.stub(), end: sinon.stub() });
+      httpRequestStub.yields({
+        statusCode: 200,
+        on: (evt, cb) => { if (evt === 'data') cb(JSON.stringify({ status: '200', data: true })); if (evt === 'end') cb(); }
+      });
+      const onSet = refill50.getCharacteristic(Characteristic.On).onSet.firstCall.args[0];
+      await onSet(true);
+
+      assert.ok(httpRequestStub.firstCall.args[0].path.includes('/resetLiquidLevel.do'));
+      assert.ok(httpRequestStub.firstCall.args[0].path.includes('liquidLevel=50'));
+      assert.strictEqual(diffuser.oilLevel, 50);
+      assert.ok(mockAccessory.getService(Service.FilterMaintenance).updateCharacteristic.calledWith(Characteristic.FilterLifeLevel, 50));
+      assert.deepStrictEqual(diffuser.refills.map(refill => refill.level), [50]);
+
+      clock.tick(1000);
+      assert.ok(refill50.updateCharacteristic.calledWith(Characteristic.On, false));
+      clock.restore();
+    });
+
+    it('should remove switches for levels no longer configured', () => {
+      const stale = createSwitch('refill-25');
+      const kept = createSwitch('refill-50');
+      mockAccessory.services.push(stale, kept, createSwitch('refill-oil-switch'));
+      mockAccessory.removeService = sinon.stub();
+      mockAccessory.addService.resetHistory();
+
+      new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, refillLevels: [50] });
+
+      assert.ok(mockAccessory.removeService.calledOnceWith(stale));
+      assert.ok(mockAccessory.addService.neverCalledWith(Service.Switch, 'Refill 50%', 'refill-50'), 'The cached switch is reused');
+    });
+  });
+
+  describe('Scent & Refill Log', () => {
+    const okResponse = () => {
+      httpRequestStub.returns({ on: sinon.stub(), write: sinon.stub(), end: sinon.stub() });
+      httpRequestStub.yields({
+        statusCode: 200,
+        on: (evt, cb) => { if (evt === 'data') cb(JSON.stringify({ status: '200', data: true })); if (evt === 'end') cb(); }
+      });
+    };
+
+    beforeEach(() => {
+      mockApi.updatePlatformAccessories.resetHistory();
+      mockLog.info.resetHistory();
+    });
+
+    it('should prefer the configured scent for the Model', () => {
+      const infoService = mockAccessory.getService(Service.AccessoryInformation);
+      infoService.setCharacteristic.resetHistory();
+
+      new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, scent: 'Cedar' });
+
+      assert.ok(infoService.setCharacteristic.calledWith(Characteristic.Model, 'Scent: Cedar'));
+    });
+
+    it('should follow a scent change reported by the cloud', () => {
+      const infoService = mockAccessory.getService(Service.AccessoryInformation);
+
+      accessoryInstance.applyStatus({ oilName: 'Lavender' }, true);
+      accessoryInstance.applyStatus({ oilName: 'Lavender' }, true);
+
+      assert.ok(infoService.updateCharacteristic.calledOnceWith(Characteristic.Model, 'Scent: Lavender'));
+      assert.strictEqual(mockAccessory.context.device.oilName, 'Lavender');
+      assert.ok(mockApi.updatePlatformAccessories.calledOnceWith([mockAccessory]));
+      assert.ok(mockLog.info.calledWithMatch(/scent changed from Test Scent to Lavender/));
+    });
+
+    it('should keep a configured scent when the cloud reports another', () => {
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, scent: 'Cedar' });
+
+      diffuser.applyStatus({ oilName: 'Lavender' }, true);
+
+      assert.strictEqual(diffuser.scent, 'Cedar');
+      assert.ok(mockApi.updatePlatformAccessories.notCalled);
+    });
+
+    it('should log each refill with the scent and how long the previous fill lasted', async () => {
+      const clock = sinon.useFakeTimers(Date.UTC(2026, 0, 1));
+      okResponse();
+
+      await accessoryInstance.resetFilter(1);
+      clock.tick(12.5 * 24 * 60 * 60 * 1000);
+      accessoryInstance.oilLevel = 8;
+      accessoryInstance.scent = 'Lavender';
+      await accessoryInstance.resetFilter(1);
+      clock.restore();
+
+      assert.deepStrictEqual(accessoryInstance.refills, [
+        { at: Date.UTC(2026, 0, 1), scent: 'Test Scent', level: 100, lastedDays: 12.5, leftover: 8 },
+        { at: Date.UTC(2026, 0, 13, 12), scent: 'Lavender', level: 100 }
+      ]);
+      assert.ok(mockPlatform.saveDeviceRecords.calledWith('refills', '12345', accessoryInstance.refills));
+      assert.ok(mockLog.info.calledWithMatch(/previous fill \(Test Scent\) lasted 12.5 day\(s\) with 8% left/));
+    });
+
+    it('should continue the saved refill log', async () => {
+      mockPlatform.loadDeviceRecords.withArgs('refills').resolves([{ at: 1, scent: 'Cedar' }]);
+
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, mockConfig);
+      await new Promise(setImmediate);
+
+      assert.deepStrictEqual(diffuser.refills, [{ at: 1, scent: 'Cedar' }]);
+    });
+
+    it('should not log a refill the cloud rejected', async () => {
+      httpRequestStub.returns({ on: sinon.stub(), write: sinon.stub(), end: sinon.stub() });
+      httpRequestStub.yields({
+        statusCode: 200,
+        on: (evt, cb) => { if (evt === 'data') cb(JSON.stringify({ status: '500', msg: 'error' })); if (evt === 'end') cb(); }
+      });
+
+      await assert.rejects(accessoryInstance.resetFilter(1));
+
+      assert.deepStrictEqual(accessoryInstance.refills, []);
+      assert.ok(mockPlatform.saveDeviceRecords.neverCalledWith('refills'));
+    });
+  });
+
+  describe('Low Oil Alerts', () => {
+    const createSensor = () => ({
+      getCharacteristic: sinon.stub().returns({ onGet: sinon.stub().returnsThis() }),
+      updateCharacteristic: sinon.stub()
+    });
+
+    beforeEach(() => {
+      mockLog.warn.resetHistory();
+    });
+
+    it('should push the filter change indication with every reading and warn once', () => {
+      const filterService = mockAccessory.getService(Service.FilterMaintenance);
+      filterService.updateCharacteristic.resetHistory();
+
+      accessoryInstance.applyStatus({ liquidLevel: 5 }, true);
+      accessoryInstance.applyStatus({ liquidLevel: 4 }, true);
+      assert.ok(filterService.updateCharacteristic.calledWith(Characteristic.FilterChangeIndication, Characteristic.FilterChangeIndication.CHANGE_FILTER));
+      assert.strictEqual(mockLog.warn.withArgs(sinon.match(/oil is low \(5%, threshold 10%\)/)).callCount, 1);
+
+      accessoryInstance.applyStatus({ liquidLevel: 50 }, true);
+      assert.ok(filterService.updateCharacteristic.lastCall.calledWith(Characteristic.FilterChangeIndication, Characteristic.FilterChangeIndication.FILTER_OK));
+    });
+
+    it('should flip a leak sensor at the configured threshold', () => {
+      const leakService = createSensor();
+      mockAccessory.addService.withArgs(Service.LeakSensor).returns(leakService);
+
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, lowOilSensor: 'leak', lowOilThreshold: 20 });
+      const onGet = leakService.getCharacteristic(Characteristic.LeakDetected).onGet.firstCall.args[0];
+
+      assert.ok(mockAccessory.addService.calledWith(Service.LeakSensor, 'Low Oil', 'low-oil'));
+      assert.strictEqual(onGet(), Characteristic.LeakDetected.LEAK_NOT_DETECTED);
+
+      diffuser.applyStatus({ liquidLevel: 15 }, true);
+      assert.ok(leakService.updateCharacteristic.calledWith(Characteristic.LeakDetected, Characteristic.LeakDetected.LEAK_DETECTED));
+      assert.strictEqual(onGet(), Characteristic.LeakDetected.LEAK_DETECTED);
+    });
+
+    it('should report low oil as an open contact', () => {
+      const contactService = createSensor();
+      mockAccessory.addService.withArgs(Service.ContactSensor).returns(contactService);
+
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, lowOilSensor: 'contact' });
+      diffuser.applyStatus({ liquidLevel: 5 }, true);
+
+      assert.ok(contactService.updateCharacteristic.calledWith(Characteristic.ContactSensorState, Characteristic.ContactSensorState.CONTACT_NOT_DETECTED));
+    });
+
+    it('should replace a cached sensor of another type and remove it when turned off', () => {
+      const cached = { ...createSensor(), UUID: Service.OccupancySensor.UUID };
+      mockAccessory.getService.withArgs('Low Oil').returns(cached);
+      mockAccessory.removeService = sinon.stub();
+      mockAccessory.addService.withArgs(Service.LeakSensor).returns(createSensor());
+
+      new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, lowOilSensor: 'occupancy' });
+      assert.ok(mockAccessory.removeService.notCalled, 'A sensor of the same type is kept');
+
+      new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, lowOilSensor: 'leak' });
+      assert.ok(mockAccessory.removeService.calledOnceWith(cached));
+      assert.ok(mockAccessory.addService.calledWith(Service.LeakSensor, 'Low Oil', 'low-oil'));
+
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, mockConfig);
+      assert.ok(mockAccessory.removeService.calledTwice);
+      assert.strictEqual(diffuser.lowOilService, null);
+    });
+
+    it('should clear the alert after a refill', async () => {
+      const leakService = createSensor();
+      mockAccessory.addService.withArgs(Service.LeakSensor).returns(leakService);
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, lowOilSensor: 'leak' });
+      diffuser.applyStatus({ liquidLevel: 5 }, true);
+
+      httpRequestStub.returns({ on: sinon.stub(), write: sinon.stub(), end: sinon.stub() });
+      httpRequestStub.yields({
+        statusCode: 200,
+        on: (evt, cb) => { if (evt === 'data') cb(JSON.stringify({ status: '200', data: true })); if (evt === 'end') cb(); }
+      });
+      await diffuser.resetFilter(1);
+
+      assert.ok(leakService.updateCharacteristic.lastCall.calledWith(Characteristic.LeakDetected, Characteristic.LeakDetected.LEAK_NOT_DETECTED));
+    });
+  });
+
+  describe('Oil Forecast', () => {
+    beforeEach(() => {
+      mockApi.updatePlatformAccessories.resetHistory();
+      mockLog.info.resetHistory();
+    });
+
+    it('should record readings, save new samples and publish the estimate', () => {
+      const recordStub = sinon.stub(accessoryInstance.oilHistory, 'record').returns(true);
+      sinon.stub(accessoryInstance.oilHistory, 'daysRemaining').returns(12.34);
+
+      accessoryInstance.applyStatus({ status: true, liquidLevel: 40, run: 30, suspend: 90 });
+
+      assert.ok(recordStub.calledOnceWith(40, { on: true, duty: 0.25 }));
+      assert.ok(mockPlatform.saveDeviceRecords.calledWith('oil', '12345', accessoryInstance.oilHistory.samples));
+      assert.strictEqual(mockAccessory.context.oil.level, 40);
+      assert.strictEqual(mockAccessory.context.oil.daysRemaining, 12.3);
+      assert.ok(mockApi.updatePlatformAccessories.calledOnceWith([mockAccessory]));
+      assert.ok(mockLog.info.calledWithMatch(/Test Diffuser: oil at 40%, about 12 day\(s\) remaining/));
+    });
+
+    it('should fall back to the last timer read for the duty cycle', () => {
+      const recordStub = sinon.stub(accessoryInstance.oilHistory, 'record').returns(false);
+      accessoryInstance.timerCache = { run: 60, suspend: 60 };
+
+      accessoryInstance.applyStatus({ liquidLevel: 40 }, true);
+
+      assert.ok(recordStub.calledOnceWith(40, sinon.match({ duty: 0.5 })));
+      assert.ok(mockPlatform.saveDeviceRecords.notCalled, 'Unchanged history is not saved');
+    });
+
+    it('should only rewrite the accessory context when the whole-day figure changes', () => {
+      const daysStub = sinon.stub(accessoryInstance.oilHistory, 'daysRemaining').returns(12.3);
+
+      accessoryInstance.trackOil(40, 0.5);
+      daysStub.returns(12.1);
+      accessoryInstance.trackOil(40, 0.5);
+      assert.ok(mockApi.updatePlatformAccessories.calledOnce);
+
+      daysStub.returns(11.9);
+      accessoryInstance.trackOil(39, 0.5);
+      assert.ok(mockApi.updatePlatformAccessories.calledTwice);
+      assert.strictEqual(mockAccessory.context.oil.daysRemaining, 11.9);
+    });
+
+    it('should show days remaining as a light sensor when enabled', async () => {
+      const lightService = {
+        getCharacteristic: sinon.stub().returns({ onGet: sinon.stub().returnsThis() }),
+        updateCharacteristic: sinon.stub()
+      };
+      mockAccessory.addService.withArgs(Service.LightSensor).returns(lightService);
+      mockAccessory.context.oil = { level: 50, daysRemaining: 20, estimatedAt: 1 };
+
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, oilForecastSensor: true });
+      const onGet = lightService.getCharacteristic(Characteristic.CurrentAmbientLightLevel).onGet.firstCall.args[0];
+
+      assert.ok(mockAccessory.addService.calledWith(Service.LightSensor, 'Oil Days Remaining', 'oil-days-remaining'));
+      assert.strictEqual(onGet(), 20, 'The saved estimate is shown before the first poll');
+
+      sinon.stub(diffuser.oilHistory, 'daysRemaining').returns(null);
+      diffuser.trackOil(50, null);
+      assert.ok(lightService.updateCharacteristic.calledWith(Characteristic.CurrentAmbientLightLevel, 0.0001));
+    });
+
+    it('should remove a cached light sensor when disabled', () => {
+      const cached = { displayName: 'Oil Days Remaining' };
+      mockAccessory.getService.withArgs('Oil Days Remaining').returns(cached);
+      mockAccessory.removeService = sinon.stub();
+
+      new DiffuserAccessory(mockPlatform, mockAccessory, mockConfig);
+
+      assert.ok(mockAccessory.removeService.calledWith(cached));
+    });
+
+    it('should restore saved samples from the platform', async () => {
+      const saved = [{ at: Date.now() - 60000, level: 60, onHours: 0, mistHours: 0, reset: true }];
+      mockPlatform.loadDeviceRecords.withArgs('oil').resolves(saved);
+
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, mockConfig);
+      await new Promise(setImmediate);
+
+      assert.ok(mockPlatform.loadDeviceRecords.calledWith('oil', '12345'));
+      assert.deepStrictEqual(diffuser.oilHistory.samples, saved);
+    });
+  });
+
   describe('Retry Logic', () => {
     it('should refresh session and retry on AuthenticationException', async () => {
       const mockReq = { on: sinon.stub(), write: sinon.stub(), end: sinon.stub() };
@@ -438,8 +1602,72 @@ describe('DiffuserAccessory (Platinum Standard)', () => {
       assert.ok(mockLog.error.calledWithMatch(/Failed to set state:/, /Network Error/));
     });
 
+    it('should read credentials from the shared session', () => {
+      const shared = { token: 't1', uid: 'u', sessionId: 's1' };
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, session: shared });
+
+      shared.token = 't2';
+      shared.sessionId = 's2';
+
+      assert.match(diffuser.client.appHeaders().Cookie, /uid=u;token=t2;SESSIONID=s2/);
+    });
+
+        it('should pass request timeout and retry settings to the client', () => {
+      const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, { ...mockConfig, requestTimeout: 5, requestRetries: 3, retryWrites: true });
+
+      assert.strictEqual(diffuser.client.deviceTimeout, 5000);
+      assert.strictEqual(diffuser.client.retries, 3);
+      assert.strictEqual(diffuser.client.retryWrites, true);
+    });
+
+    it('should report No Response from getOn while the cloud is unreachable', async () => {
+      const mockReq = { on: sinon.stub(), write: sinon.stub(), end: sinon.stub() };
+      httpRequestStub.returns(mockReq);
+      setTimeout(() => mockReq.on.withArgs('error').yield(new Error('connect ETIMEDOUT')), 10);
+
+      assert.strictEqual(await accessoryInstance.pollStatus(), false);
+      await assert.rejects(accessoryInstance.getOn(), mockApi.hap.HapStatusError);
+
+      accessoryInstance.applyStatus({ status: true }, true);
+      assert.strictEqual(await accessoryInstance.getOn(), true, 'A successful status update clears the flag');
+    });
+
+    it('should push No Response to HomeKit when the cloud becomes unreachable', async () => {
+      const mockReq = { on: sinon.stub(), write: sinon.stub(), end: sinon.stub() };
+      httpRequestStub.returns(mockReq);
+      setTimeout(() => mockReq.on.withArgs('error').yield(new Error('connect ECONNREFUSED')), 10);
+      const fanService = mockAccessory.getService(Service.Fan);
+      fanService.updateCharacteristic.resetHistory();
+
+      await accessoryInstance.pollStatus();
+
+      assert.ok(fanService.updateCharacteristic.calledWith(Characteristic.On, sinon.match.instanceOf(mockApi.hap.HapStatusError)));
+    });
+  });
+
+  describe('Offline (cached) Binding', () => {
+    let offline;
+
+    beforeEach(() => {
+      mockPlatform.poller.add.resetHistory();
+      mockLog.error.resetHistory();
+      offline = new DiffuserAccessory(mockPlatform, mockAccessory, { nid: '12345', name: 'Cached', offline: true });
+    });
+
+    it('should not poll or register with the scheduler', () => {
+      assert.ok(httpRequestStub.notCalled);
+      assert.ok(mockPlatform.poller.add.notCalled);
+      assert.ok(mockLog.error.neverCalledWithMatch(/credentials missing/));
     });
 
+    it('should report No Response and reject commands without calling the cloud', async () => {
+      await assert.rejects(offline.getOn(), mockApi.hap.HapStatusError);
+      await assert.rejects(offline.setOn(true), mockApi.hap.HapStatusError);
+      assert.ok(httpRequestStub.notCalled);
+      assert.ok(mockLog.error.calledWithMatch(/Failed to set state:/, /Not connected to the cloud yet/));
+    });
+  });
+
   describe('Helper Edge Cases', () => {
     it('should return 0 for oilLevel if undefined', async () => {
       accessoryInstance.oilLevel = undefined;
@@ -480,18 +1708,51 @@ describe('DiffuserAccessory (Platinum Standard)', () => {
       assert.ok(mockLog.debug.calledWithMatch(/Poll failed/));
     });
 
-        it('should poll periodically via interval', async () => {
-             const clock = sinon.useFakeTimers();
-             const spy = sinon.spy(DiffuserAccessory.prototype, 'pollStatus');
-             
-             // Re-instantiate to capture the interval with fake timer
-             new DiffuserAccessory(mockPlatform, mockAccessory, mockConfig);
-             
-             clock.tick(30001);
-             assert.ok(spy.called, 'Should have called pollStatus via interval');
-             
-             clock.restore();
-             spy.restore();
+        it('should register periodic polling with the platform scheduler', async () => {
+             const diffuser = new DiffuserAccessory(mockPlatform, mockAccessory, mockConfig);
+             const spy = sinon.stub(diffuser, 'pollStatus').resolves(true);
+             sinon.stub(diffuser, 'refreshTimers').resolves();
+
+             const [id, task, options] = mockPlatform.poller.add.lastCall.args;
+             assert.strictEqual(id, mockConfig.nid);
+             assert.strictEqual(options.interval, undefined, 'Uses the platform default interval');
+
+             assert.strictEqual(await task(), true);
+             assert.ok(spy.calledOnce, 'Task should poll status');
+        });
+
+        it('should report poll failure to the scheduler', async () => {
+             const mockReq = { on: sinon.stub(), write: sinon.stub(), end: sinon.stub() };
+             httpRequestStub.returns(mockReq);
+             httpRequestStub.yields({ statusCode: 500, on: (evt, cb) => { if (evt === 'end') cb(); } });
+
+             assert.strictEqual(await accessoryInstance.poll(), false);
+        });
+
+        it('should boost polling after a successful write', async () => {
+             const mockReq = { on: sinon.stub(), write: sinon.stub(), end: sinon.stub() };
+             httpRequestStub.returns(mockReq);
+             httpRequestStub.yields({
+               statusCode: 200,
+               on: (evt, cb) => { if (evt === 'data') cb(JSON.stringify({ status: '200' })); if (evt === 'end') cb(); }
+             });
+
+             await accessoryInstance.setOn(true);
+
+             assert.ok(mockPlatform.poller.boost.calledWith(mockConfig.nid));
+        });
+
+        it('should re-read timers only when stale or after a write', async () => {
+             sinon.stub(accessoryInstance, 'pollStatus').resolves(true);
+             const refreshStub = sinon.stub(accessoryInstance, 'refreshTimers').resolves();
+             accessoryInstance.timersSyncedAt = Date.now();
+
+             await accessoryInstance.poll();
+             assert.ok(refreshStub.notCalled, 'Fresh timers are not re-read');
+
+             accessoryInstance._afterWrite();
+             await accessoryInstance.poll();
+             assert.ok(refreshStub.calledOnce, 'A write marks the timers stale');
         });
 
         it('should handle pollStatus with successful response but no data', async () => {
@@ -3,6 +3,9 @@ const sinon = require('sinon');
 const http = require('http');
 const crypto = require('crypto');
 const AuthClient = require('../src/auth');
+const {
+    ApiError, ServerError, NetworkError, InvalidCredentialsError, AccountLockedError, CaptchaRequiredError
+} = require('../src/errors');
 
 describe('AuthClient (Platinum Standard)', () => {
     let auth;
@@ -41,6 +44,17 @@ describe('AuthClient (Platinum Standard)', () => {
             assert.strictEqual(client.host, 'amos.us.lbslm.com');
         });
 
+        it('should prefer customHost over region and parse its port', () => {
+            const client = new AuthClient(null, 'US', 'localhost:8080');
+
+            assert.strictEqual(client.host, 'localhost');
+            assert.strictEqual(client.port, 8080);
+        });
+
+        it('should strip scheme and path from customHost', () => {
+            assert.deepStrictEqual(AuthClient.resolveHost('CN', 'http://stub.local/'), { host: 'stub.local', port: 80 });
+        });
+
         it('should fallback to CN for invalid region codes', () => {
             // Act
             const client = new AuthClient(null, 'INVALID_REGION_' + crypto.randomUUID());
@@ -70,7 +84,7 @@ describe('AuthClient (Platinum Standard)', () => {
             const res = {
                 statusCode: 200,
                 headers: { 'set-cookie': expectedCookies },
-                on: sinon.stub()
+                on: (event, cb) => { if (event === 'end') cb(); }
             };
             httpRequestStub.firstCall.args[1](res); // Trigger callback
 
@@ -83,6 +97,7 @@ describe('AuthClient (Platinum Standard)', () => {
             // Verification: Deep Argument Inspection
             const requestOptions = httpRequestStub.firstCall.args[0];
             assert.strictEqual(requestOptions.method, 'POST');
+            assert.strictEqual(requestOptions.hostname, 'amos.cn.lbslm.com');
             assert.ok(requestOptions.path.includes('/admin/login.do'));
 
             // Verify payload contains properly encoded credentials
@@ -119,7 +134,7 @@ describe('AuthClient (Platinum Standard)', () => {
 
             const promise = auth.login('user', 'pass');
 
-            const res = { statusCode: 401, on: sinon.stub() };
+            const res = { statusCode: 401, on: (event, cb) => { if (event === 'end') cb(); } };
             httpRequestStub.firstCall.args[1](res);
 
             // Act & Assert
@@ -152,7 +167,7 @@ describe('AuthClient (Platinum Standard)', () => {
 
             await assert.rejects(auth.fetchDevices(['t=1'], 'u1'), /Fetch Failed/);
         });
-        it('should return null if no cookies in response', async () => {
+        it('should reject an unrecognised response without cookies', async () => {
             const mockReq = { on: sinon.stub(), write: sinon.stub(), end: sinon.stub() };
             httpRequestStub.returns(mockReq);
 
@@ -166,8 +181,58 @@ describe('AuthClient (Platinum Standard)', () => {
             };
             httpRequestStub.firstCall.args[1](res);
 
-            const result = await promise;
-            assert.strictEqual(result, null);
+            await assert.rejects(promise, (err) => err instanceof ApiError && /Unexpected login response: OK/.test(err.message));
+        });
+
+        describe('failure classification', () => {
+            const answer = (statusCode, body, headers = {}) => {
+                httpRequestStub.callsFake((opts, cb) => {
+                    cb({ statusCode, headers, on: (evt, handler) => { if (evt === 'data') handler(body); if (evt === 'end') handler(); } });
+                    return { on: sinon.stub(), write: sinon.stub(), end: sinon.stub() };
+                });
+            };
+
+            it('should raise InvalidCredentialsError for rejected credentials', async () => {
+                answer(200, '{"status":"fail","msg":"用户名或密码错误"}');
+                await assert.rejects(auth.login('u', 'p'), InvalidCredentialsError);
+            });
+
+            it('should raise AccountLockedError before the generic credential check', async () => {
+                answer(200, '{"status":"AuthenticationException","msg":"LockedException: User account is locked"}');
+                await assert.rejects(auth.login('u', 'p'), AccountLockedError);
+            });
+
+            it('should raise CaptchaRequiredError when a captcha is requested', async () => {
+                answer(200, '{"status":"fail","msg":"Please enter the verify code"}');
+                await assert.rejects(auth.login('u', 'p'), CaptchaRequiredError);
+            });
+
+            it('should accept a login with session cookies whatever its body mentions', async () => {
+                const cookies = ['uid=u1; Path=/', 'token=t1; Path=/'];
+                answer(200, '{"status":"200","msg":"ok","data":{"captcha":false,"menu":["设备锁定"]}}', { 'set-cookie': cookies });
+                assert.deepStrictEqual(await auth.login('u', 'p'), cookies);
+            });
+
+            it('should classify by the status and msg fields only', async () => {
+                answer(200, '{"status":"fail","msg":"账户已锁定"}', { 'set-cookie': ['JSESSIONID=abc; Path=/'] });
+                await assert.rejects(auth.login('u', 'p'), AccountLockedError);
+
+                answer(200, '<html>设备锁定</html>');
+                await assert.rejects(auth.login('u', 'p'), ApiError);
+            });
+
+            it('should raise ServerError for 5xx responses', async () => {
+                answer(503, 'Service Unavailable');
+                await assert.rejects(auth.login('u', 'p'), (err) => err instanceof ServerError && err.statusCode === 503);
+            });
+
+            it('should raise NetworkError for socket failures', async () => {
+                const mockReq = { on: sinon.stub(), write: sinon.stub(), end: sinon.stub() };
+                httpRequestStub.returns(mockReq);
+                setTimeout(() => mockReq.on.withArgs('error').yield(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' })), 10);
+
+                await assert.rejects(auth.login('u', 'p'), NetworkError);
+            });
         });
     });
 
@@ -223,6 +288,74 @@ describe('AuthClient (Platinum Standard)', () => {
             assert.deepStrictEqual(result, []);
         });
 
+        it('should page through all devices using recordsTotal', async () => {
+            // Arrange: 23 devices served 10 at a time
+            const all = Array.from({ length: 23 }, (_, i) => ({ nid: `nid-${i}` }));
+            httpRequestStub.callsFake((opts, cb) => {
+                const query = new URLSearchParams(opts.path.split('?')[1]);
+                const start = Number(query.get('start'));
+                const length = Number(query.get('length'));
+                const body = JSON.stringify({ draw: Number(query.get('draw')), recordsTotal: all.length, data: all.slice(start, start + length) });
+                cb({ on: (evt, handler) => { if (evt === 'data') handler(body); if (evt === 'end') handler(); } });
+                return { on: sinon.stub(), end: sinon.stub() };
+            });
+
+            // Act
+            const devices = await auth.fetchDevices(['c=1'], 'u1');
+
+            // Assert
+            assert.strictEqual(devices.length, 23);
+            assert.strictEqual(devices.incomplete, undefined);
+            assert.strictEqual(httpRequestStub.callCount, 3);
+            assert.ok(httpRequestStub.thirdCall.args[0].path.includes('start=20'));
+            assert.ok(httpRequestStub.thirdCall.args[0].path.includes('draw=3'));
+        });
+
+        it('should stop paging on a short page when recordsTotal is absent', async () => {
+            httpRequestStub.callsFake((opts, cb) => {
+                const body = JSON.stringify({ data: [{ nid: '1' }, { nid: '2' }] });
+                cb({ on: (evt, handler) => { if (evt === 'data') handler(body); if (evt === 'end') handler(); } });
+                return { on: sinon.stub(), end: sinon.stub() };
+            });
+
+            const devices = await auth.fetchDevices(['c=1'], 'u1');
+
+            assert.strictEqual(devices.length, 2);
+            assert.ok(httpRequestStub.calledOnce);
+        });
+
+        it('should warn and stop if a page answers with a different draw', async () => {
+            const log = { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub(), debug: sinon.stub() };
+            auth = new AuthClient(log);
+            httpRequestStub.callsFake((opts, cb) => {
+                const page = Array.from({ length: 10 }, (_, i) => ({ nid: `${i}` }));
+                const draw = Number(new URLSearchParams(opts.path.split('?')[1]).get('draw'));
+                const body = JSON.stringify({ draw: draw === 2 ? 7 : draw, recordsTotal: 30, data: page });
+                cb({ on: (evt, handler) => { if (evt === 'data') handler(body); if (evt === 'end') handler(); } });
+                return { on: sinon.stub(), end: sinon.stub() };
+            });
+
+            const devices = await auth.fetchDevices(['c=1'], 'u1');
+
+            assert.strictEqual(devices.length, 10);
+            assert.strictEqual(devices.incomplete, true);
+            assert.ok(log.warn.calledWithMatch(/answered with draw 7/));
+            assert.ok(log.warn.calledWithMatch(/received 10 of 30/));
+        });
+
+        it('should flag a list that comes up short of recordsTotal', async () => {
+            httpRequestStub.callsFake((opts, cb) => {
+                const body = JSON.stringify({ draw: 1, recordsTotal: 5, data: [{ nid: '1' }, { nid: '2' }] });
+                cb({ on: (evt, handler) => { if (evt === 'data') handler(body); if (evt === 'end') handler(); } });
+                return { on: sinon.stub(), end: sinon.stub() };
+            });
+
+            const devices = await auth.fetchDevices(['c=1'], 'u1');
+
+            assert.strictEqual(devices.length, 2);
+            assert.strictEqual(devices.incomplete, true);
+        });
+
         it('should reject if API response is invalid JSON', async () => {
         // Arrange
             const mockReq = { on: sinon.stub(), write: sinon.stub(), end: sinon.stub() };
@@ -242,6 +375,46 @@ describe('AuthClient (Platinum Standard)', () => {
         });
     });
 
+    describe('validateSession()', () => {
+        const serve = (body, statusCode = 200) => {
+            httpRequestStub.callsFake((opts, cb) => {
+                cb({ statusCode, on: (evt, handler) => { if (evt === 'data') handler(body); if (evt === 'end') handler(); } });
+                return { on: sinon.stub(), end: sinon.stub() };
+            });
+        };
+
+        it('should resolve with the first device page when the cookies are accepted', async () => {
+            serve(JSON.stringify({ draw: 1, recordsTotal: 1, data: [{ nid: '1' }] }));
+
+            const page = await auth.validateSession(['JSESSIONID=abc; Path=/'], 'u1');
+
+            assert.strictEqual(page.recordsTotal, 1);
+            assert.ok(httpRequestStub.calledOnce, 'Only one page is requested');
+            assert.ok(httpRequestStub.firstCall.args[0].headers.Cookie.includes('JSESSIONID=abc'));
+        });
+
+        it('should resolve null when the dashboard answers with its login page', async () => {
+            serve('<html>login</html>');
+            assert.strictEqual(await auth.validateSession(['c=1'], 'u1'), null);
+        });
+
+        it('should throw on cloud or proxy error pages instead of treating them as a rejection', async () => {
+            serve('<html>Bad Gateway</html>', 502);
+            await assert.rejects(auth.validateSession(['c=1'], 'u1'), ServerError);
+
+            serve('<html>Not Found</html>', 404);
+            await assert.rejects(auth.validateSession(['c=1'], 'u1'), /HTTP 404/);
+        });
+
+        it('should rethrow network errors', async () => {
+            const mockReq = { on: sinon.stub(), end: sinon.stub() };
+            httpRequestStub.returns(mockReq);
+            setTimeout(() => mockReq.on.withArgs('error').yield(new Error('getaddrinfo ENOTFOUND')), 10);
+
+            await assert.rejects(auth.validateSession(['c=1'], 'u1'), /ENOTFOUND/);
+        });
+    });
+
     describe('getCredentials()', () => {
         // AAA Pattern Explicit
         it('should orchestrate login and fetchDevices sequence successfully', async () => {
@@ -270,6 +443,11 @@ describe('AuthClient (Platinum Standard)', () => {
                 token: uniqueToken,
                 uid: uniqueUid,
                 sessionId: uniqueSession,
+                host: 'amos.cn.lbslm.com',
+                port: 80,
+                protocol: 'http',
+                cookies: mockCookies,
+                expiresAt: null,
                 devices: [{ nid: uniqueNid }]
             });
 
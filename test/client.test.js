@@ -0,0 +1,377 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const LbslmClient = require('../src/client');
+const { NetworkError, HttpError, ParseError, ApiError, AuthenticationError } = require('../src/errors');
+
+describe('LbslmClient', () => {
+    let client;
+    let mockLog;
+    let httpRequestStub;
+    let mockReq;
+
+    // Makes http.request answer with `statusCode` and `body`.
+    const respond = (statusCode, body) => {
+        httpRequestStub.callsFake((options, callback) => {
+            const res = new EventEmitter();
+            res.statusCode = statusCode;
+            res.headers = {};
+            process.nextTick(() => {
+                callback(res);
+                res.emit('data', body);
+                res.emit('end');
+            });
+            return mockReq;
+        });
+    };
+
+    beforeEach(() => {
+        mockLog = { info: sinon.stub(), error: sinon.stub(), warn: sinon.stub(), debug: sinon.stub() };
+        mockReq = new EventEmitter();
+        mockReq.write = sinon.stub();
+        mockReq.end = sinon.stub();
+        mockReq.destroy = sinon.stub().callsFake((err) => mockReq.emit('error', err));
+        httpRequestStub = sinon.stub(http, 'request');
+        client = new LbslmClient(mockLog, {
+            region: 'US',
+            credentials: { appid: 'a', uid: 'u', token: 't', sessionId: 's', username: 'n' }
+        });
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('resolveHost()', () => {
+        it('should map regions and fall back to CN', () => {
+            assert.deepStrictEqual(LbslmClient.resolveHost('US'), { host: 'amos.us.lbslm.com', port: 80 });
+            assert.deepStrictEqual(LbslmClient.resolveHost('XX'), { host: 'amos.cn.lbslm.com', port: 80 });
+        });
+
+        it('should prefer customHost and parse its port', () => {
+            assert.deepStrictEqual(LbslmClient.resolveHost('US', 'localhost:8080'), { host: 'localhost', port: 8080 });
+        });
+
+        it('should take the protocol from an https:// customHost and default to port 443', () => {
+            const endpoint = LbslmClient.resolveEndpoint('US', 'https://proxy.local/', 'http');
+
+            assert.strictEqual(endpoint.protocol, 'https');
+            assert.strictEqual(endpoint.port, 443);
+        });
+
+        it('should use the region default unless a valid protocol is given', () => {
+            assert.strictEqual(LbslmClient.resolveEndpoint('US').protocol, 'http');
+            assert.strictEqual(LbslmClient.resolveEndpoint('US', undefined, 'https').port, 443);
+            assert.strictEqual(LbslmClient.resolveEndpoint('US', undefined, 'ftp').protocol, 'http');
+        });
+    });
+
+    describe('CookieJar', () => {
+        it('should keep only name=value pairs and serialise them', () => {
+            const jar = new LbslmClient.CookieJar(['JSESSIONID=abc; Path=/; HttpOnly', 'uid=42']);
+
+            assert.strictEqual(jar.get('JSESSIONID'), 'abc');
+            assert.strictEqual(jar.toString(), 'JSESSIONID=abc; uid=42');
+        });
+    });
+
+    describe('request()', () => {
+        it('should set Content-Length and resolve with the response', async () => {
+            respond(200, 'ok');
+
+            const res = await client.request({ method: 'POST', path: '/x', body: 'a=1' });
+
+            assert.deepStrictEqual(res, { statusCode: 200, headers: {}, body: 'ok' });
+            assert.strictEqual(httpRequestStub.firstCall.args[0].headers['Content-Length'], 3);
+            assert.ok(mockReq.write.calledWith('a=1'));
+        });
+
+        it('should reject with a NetworkError when the request times out', async () => {
+            httpRequestStub.returns(mockReq);
+
+            const promise = client.request({ path: '/slow?x=1', timeout: 50 });
+            mockReq.emit('timeout');
+
+            await assert.rejects(promise, (err) => {
+                assert.ok(err instanceof NetworkError);
+                assert.strictEqual(err.code, 'ETIMEDOUT');
+                assert.match(err.message, /\/slow timed out after 50ms/);
+                return true;
+            });
+        });
+
+        it('should wrap socket errors in a NetworkError', async () => {
+            httpRequestStub.returns(mockReq);
+
+            const promise = client.request({ path: '/x' });
+            mockReq.emit('error', Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+
+            await assert.rejects(promise, (err) => err instanceof NetworkError && err.code === 'ECONNRESET');
+        });
+    });
+
+    describe('callDevice()', () => {
+        it('should prefix app paths and send the app cookie', async () => {
+            respond(200, JSON.stringify({ status: '200', data: {} }));
+
+            await client.callDevice('nid-1', '/amosFragrance.do');
+
+            const options = httpRequestStub.firstCall.args[0];
+            assert.match(options.path, /^\/amosFragrance\/amosFragrance\.do\?nid=nid-1/);
+            assert.strictEqual(options.headers.Cookie, 'appid=a;uid=u;token=t;SESSIONID=s;username=n');
+            assert.strictEqual(options.headers.Host, 'amos.us.lbslm.com');
+        });
+
+        it('should leave /admin paths root-relative', async () => {
+            respond(200, JSON.stringify({ status: '200' }));
+
+            await client.callDevice('nid-1', '/admin/amos/x.do');
+
+            assert.match(httpRequestStub.firstCall.args[0].path, /^\/admin\/amos\/x\.do\?/);
+        });
+
+        it('should raise typed errors for HTTP, parse and API failures', async () => {
+            respond(502, '');
+            await assert.rejects(client.callDevice('n', '/a.do'), (err) => err instanceof HttpError && err.statusCode === 502);
+
+            respond(200, '<html>');
+            await assert.rejects(client.callDevice('n', '/a.do'), ParseError);
+
+            respond(200, JSON.stringify({ status: '500' }));
+            await assert.rejects(client.callDevice('n', '/a.do'), (err) => err instanceof ApiError && err.status === '500');
+        });
+
+        it('should refresh the session once and retry with the new credentials', async () => {
+            let calls = 0;
+            httpRequestStub.callsFake((options, callback) => {
+                const res = new EventEmitter();
+                res.statusCode = 200;
+                const body = calls++ === 0 ? { status: 'AuthenticationException' } : { status: '200' };
+                process.nextTick(() => {
+                    callback(res);
+                    res.emit('data', JSON.stringify(body));
+                    res.emit('end');
+                });
+                return mockReq;
+            });
+            client.onAuthExpired = sinon.stub().resolves({ token: 't2', uid: 'u', sessionId: 's2' });
+
+            const json = await client.callDevice('n', '/a.do');
+
+            assert.strictEqual(json.status, '200');
+            assert.ok(client.onAuthExpired.calledOnce);
+            assert.match(httpRequestStub.secondCall.args[0].headers.Cookie, /token=t2;SESSIONID=s2/);
+        });
+
+        it('should time out device requests after deviceTimeout', async () => {
+            client = new LbslmClient(mockLog, { region: 'US', deviceTimeout: 2500 });
+            respond(200, JSON.stringify({ status: '200' }));
+
+            await client.callDevice('n', '/openFragrance.do');
+
+            assert.strictEqual(httpRequestStub.firstCall.args[0].timeout, 2500);
+        });
+
+        it('should throw an AuthenticationError if the session is still rejected', async () => {
+            respond(200, JSON.stringify({ status: '401' }));
+            client.onAuthExpired = sinon.stub().resolves({ token: 't2', uid: 'u', sessionId: 's2' });
+
+            await assert.rejects(client.callDevice('n', '/a.do'), AuthenticationError);
+            assert.ok(client.onAuthExpired.calledOnce);
+        });
+    });
+
+    describe('HTTPS', () => {
+        let httpsRequestStub;
+
+        // Answers https.request with a socket error carrying `code`.
+        const failHttps = (code) => {
+            httpsRequestStub.callsFake(() => {
+                const req = new EventEmitter();
+                req.write = sinon.stub();
+                req.end = () => process.nextTick(() => req.emit('error', Object.assign(new Error(code), { code })));
+                return req;
+            });
+        };
+
+        beforeEach(() => {
+            httpsRequestStub = sinon.stub(https, 'request');
+        });
+
+        it('should send requests over https with the TLS options', async () => {
+            client = new LbslmClient(mockLog, { region: 'US', protocol: 'https', ca: 'PEM', rejectUnauthorized: false });
+            httpsRequestStub.callsFake((options, callback) => {
+                const res = new EventEmitter();
+                res.statusCode = 200;
+                process.nextTick(() => {
+                    callback(res);
+                    res.emit('end');
+                });
+                return mockReq;
+            });
+
+            await client.request({ path: '/x', sensitive: true });
+
+            const options = httpsRequestStub.firstCall.args[0];
+            assert.strictEqual(options.port, 443);
+            assert.strictEqual(options.ca, 'PEM');
+            assert.strictEqual(options.rejectUnauthorized, false);
+            assert.ok(httpRequestStub.notCalled);
+            assert.ok(mockLog.warn.neverCalledWithMatch(/unencrypted/));
+        });
+
+        it('should fall back to HTTP in auto mode when the server has no TLS', async () => {
+            client = new LbslmClient(mockLog, { region: 'US', protocol: 'auto' });
+            failHttps('ECONNREFUSED');
+            respond(200, 'ok');
+
+            const res = await client.request({ path: '/x' });
+            await client.request({ path: '/y' });
+
+            assert.strictEqual(res.body, 'ok');
+            assert.strictEqual(client.protocol, 'http');
+            assert.strictEqual(httpRequestStub.firstCall.args[0].port, 80);
+            assert.strictEqual(httpsRequestStub.callCount, 1, 'HTTPS is only probed once');
+            assert.ok(mockLog.warn.calledWithMatch(/falling back to HTTP/));
+            assert.strictEqual(client.settledProtocol, 'auto', 'The fallback is not passed on to later clients');
+            assert.strictEqual(client.settledPort, 443);
+        });
+
+        it('should pass on HTTPS once it has worked in auto mode', async () => {
+            client = new LbslmClient(mockLog, { region: 'US', protocol: 'auto' });
+            httpsRequestStub.callsFake((options, callback) => {
+                const res = new EventEmitter();
+                res.statusCode = 200;
+                process.nextTick(() => {
+                    callback(res);
+                    res.emit('end');
+                });
+                return mockReq;
+            });
+
+            await client.request({ path: '/x' });
+
+            assert.strictEqual(client.settledProtocol, 'https');
+            assert.strictEqual(client.settledPort, 443);
+        });
+
+        for (const code of ['ETIMEDOUT', 'ECONNRESET']) {
+            it(`should not downgrade on ${code}`, async () => {
+                client = new LbslmClient(mockLog, { region: 'US', protocol: 'auto' });
+                failHttps(code);
+
+                await assert.rejects(client.request({ path: '/x' }), NetworkError);
+                assert.ok(httpRequestStub.notCalled);
+                assert.strictEqual(client.protocol, 'auto');
+            });
+        }
+
+        it('should only treat a refused connection as "no TLS" on the HTTPS port', async () => {
+            client = new LbslmClient(mockLog, { customHost: 'stub.local:8443', protocol: 'auto' });
+            failHttps('ECONNREFUSED');
+
+            await assert.rejects(client.request({ path: '/x' }), NetworkError);
+            assert.ok(httpRequestStub.notCalled);
+        });
+
+        it('should not downgrade on certificate errors', async () => {
+            client = new LbslmClient(mockLog, { region: 'US', protocol: 'auto' });
+            failHttps('SELF_SIGNED_CERT_IN_CHAIN');
+
+            await assert.rejects(client.request({ path: '/x' }), NetworkError);
+            assert.ok(httpRequestStub.notCalled);
+            assert.strictEqual(client.protocol, 'auto');
+            assert.ok(mockLog.error.calledWithMatch(/certificate .* was rejected/));
+        });
+
+        it('should warn once per host when credentials go over plain HTTP', async () => {
+            const host = `${crypto.randomUUID()}.local`;
+            client = new LbslmClient(mockLog, { host });
+            respond(200, 'ok');
+
+            await client.request({ path: '/x' });
+            assert.ok(mockLog.warn.notCalled, 'Requests without credentials do not warn');
+
+            await client.request({ path: '/login', sensitive: true });
+            await new LbslmClient(mockLog, { host }).request({ path: '/login', sensitive: true });
+
+            assert.ok(mockLog.warn.calledOnceWith(sinon.match(/credentials to .* over unencrypted HTTP/)));
+        });
+    });
+
+    describe('retries', () => {
+        // Fails the first `failures` requests with a socket error, then answers status 200.
+        const failThenSucceed = (failures) => {
+            let calls = 0;
+            httpRequestStub.callsFake((options, callback) => {
+                const req = new EventEmitter();
+                req.write = sinon.stub();
+                req.end = () => process.nextTick(() => {
+                    if (calls++ < failures) {
+                        req.emit('error', Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+                        return;
+                    }
+                    const res = new EventEmitter();
+                    res.statusCode = 200;
+                    callback(res);
+                    res.emit('data', JSON.stringify({ status: '200' }));
+                    res.emit('end');
+                });
+                return req;
+            });
+        };
+
+        beforeEach(() => {
+            client = new LbslmClient(mockLog, { region: 'US', retries: 2, retryDelay: 1 });
+        });
+
+        it('should retry idempotent reads on network errors', async () => {
+            failThenSucceed(2);
+
+            const json = await client.callDevice('n', '/amosFragrance.do');
+
+            assert.strictEqual(json.status, '200');
+            assert.strictEqual(httpRequestStub.callCount, 3);
+        });
+
+        it('should give up after the configured number of retries', async () => {
+            failThenSucceed(3);
+
+            await assert.rejects(client.callDevice('n', '/timerList.do'), NetworkError);
+            assert.strictEqual(httpRequestStub.callCount, 3);
+        });
+
+        it('should not retry writes unless retryWrites is set', async () => {
+            failThenSucceed(1);
+            await assert.rejects(client.callDevice('n', '/openFragrance.do'), NetworkError);
+            assert.strictEqual(httpRequestStub.callCount, 1);
+
+            client.retryWrites = true;
+            failThenSucceed(1);
+            httpRequestStub.resetHistory();
+            await client.callDevice('n', '/openFragrance.do');
+            assert.strictEqual(httpRequestStub.callCount, 2);
+        });
+
+        it('should not retry API or parse errors', async () => {
+            respond(200, JSON.stringify({ status: '500' }));
+
+            await assert.rejects(client.callDevice('n', '/amosFragrance.do'), ApiError);
+            assert.strictEqual(httpRequestStub.callCount, 1);
+        });
+
+        it('should retry 5xx responses but not 4xx', async () => {
+            respond(503, '');
+            await assert.rejects(client.callDevice('n', '/amosFragrance.do'), HttpError);
+            assert.strictEqual(httpRequestStub.callCount, 3);
+
+            httpRequestStub.resetHistory();
+            respond(404, '');
+            await assert.rejects(client.callDevice('n', '/amosFragrance.do'), HttpError);
+            assert.strictEqual(httpRequestStub.callCount, 1);
+        });
+    });
+});
@@ -0,0 +1,47 @@
+const assert = require('assert');
+const intensity = require('../src/intensity');
+
+describe('Intensity Mapping', () => {
+    describe('runTime profile', () => {
+        it('should map percent to run seconds with a 5s floor', () => {
+            assert.deepStrictEqual(intensity.toTimerSettings(30), { run: 90 });
+            assert.deepStrictEqual(intensity.toTimerSettings(1), { run: 5 });
+            assert.deepStrictEqual(intensity.toTimerSettings(100), { run: 300 });
+        });
+
+        it('should map run seconds back to percent', () => {
+            assert.strictEqual(intensity.toPercent({ run: 90 }), 30);
+            assert.strictEqual(intensity.toPercent({}), 0);
+            assert.strictEqual(intensity.toPercent({ run: 900 }), 100);
+        });
+    });
+
+    describe('dutyCycle profile', () => {
+        it('should follow the square curve within a 300s cycle', () => {
+            assert.deepStrictEqual(intensity.toTimerSettings(10, 'dutyCycle'), { run: 5, suspend: 295 });
+            assert.deepStrictEqual(intensity.toTimerSettings(50, 'dutyCycle'), { run: 75, suspend: 225 });
+            assert.deepStrictEqual(intensity.toTimerSettings(100, 'dutyCycle'), { run: 300, suspend: 5 });
+        });
+
+        it('should round-trip settings back to the slider value', () => {
+            for (const percent of [20, 50, 80]) {
+                const settings = intensity.toTimerSettings(percent, 'dutyCycle');
+                assert.strictEqual(intensity.toPercent(settings, 'dutyCycle'), percent);
+            }
+        });
+
+        it('should fall back to the run-only mapping when suspend is unknown', () => {
+            assert.strictEqual(intensity.toPercent({ run: 90 }, 'dutyCycle'), 30);
+        });
+    });
+
+    describe('Pause Interval', () => {
+        it('should map 0-100% onto 5-600s suspend', () => {
+            assert.strictEqual(intensity.suspendFromPercent(0), 5);
+            assert.strictEqual(intensity.suspendFromPercent(50), 300);
+            assert.strictEqual(intensity.suspendFromPercent(100), 600);
+            assert.strictEqual(intensity.suspendToPercent(120), 20);
+            assert.strictEqual(intensity.suspendToPercent(undefined), 0);
+        });
+    });
+});
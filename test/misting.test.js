@@ -0,0 +1,81 @@
+const assert = require('assert');
+const { parseTime, formatTime, timerWindow, activeTimer, mistingState } = require('../src/misting');
+
+// Local time on a fixed day, as the timers use Homebridge's clock.
+const at = (hours, minutes = 0, seconds = 0, day = 5) => new Date(2026, 0, day, hours, minutes, seconds).getTime();
+const timer = (overrides = {}) => ({ name: 'Morning', start: '08:00', stop: '10:00', mode: 1, run: 30, suspend: 90, status: 1, ...overrides });
+
+describe('Misting State', () => {
+    describe('parseTime()', () => {
+        it('should read HH:MM and HH:MM:SS', () => {
+            assert.strictEqual(parseTime('08:30'), 8 * 3600 + 30 * 60);
+            assert.strictEqual(parseTime('7:05:10'), 7 * 3600 + 5 * 60 + 10);
+            assert.strictEqual(parseTime('8.30'), null);
+            assert.strictEqual(parseTime('08:75'), null);
+            assert.strictEqual(parseTime(undefined), null);
+        });
+    });
+
+    describe('formatTime()', () => {
+        it('should give local HH:MM', () => {
+            assert.strictEqual(formatTime(at(7, 5, 59)), '07:05');
+            assert.strictEqual(formatTime(at(23, 30)), '23:30');
+        });
+    });
+
+    describe('timerWindow()', () => {
+        it('should return the current window, or the next one', () => {
+            assert.deepStrictEqual(timerWindow(timer(), at(9)), { start: at(8), end: at(10) });
+            assert.deepStrictEqual(timerWindow(timer(), at(7)), { start: at(8), end: at(10) });
+            assert.deepStrictEqual(timerWindow(timer(), at(11)), { start: at(8, 0, 0, 6), end: at(10, 0, 0, 6) });
+        });
+
+        it('should run a window past midnight when it stops before it starts', () => {
+            const overnight = timer({ start: '22:00', stop: '02:00' });
+
+            assert.deepStrictEqual(timerWindow(overnight, at(1)), { start: at(22, 0, 0, 4), end: at(2) });
+            assert.deepStrictEqual(timerWindow(overnight, at(23)), { start: at(22), end: at(2, 0, 0, 6) });
+        });
+    });
+
+    describe('activeTimer()', () => {
+        it('should find the first enabled timer with an open window', () => {
+            const evening = timer({ name: 'Evening', start: '18:00', stop: '22:00' });
+            const timers = [timer({ status: 0 }), timer({ name: 'Late', start: '08:30' }), evening];
+
+            assert.deepStrictEqual(activeTimer(timers, at(19)), { timer: evening, window: { start: at(18), end: at(22) } });
+            assert.strictEqual(activeTimer(timers, at(8, 10)), null, 'Disabled and not yet open windows are skipped');
+            assert.strictEqual(activeTimer([], at(9)), null);
+        });
+    });
+
+    describe('mistingState()', () => {
+        it('should alternate run and suspend from the start of the window', () => {
+            assert.deepStrictEqual(mistingState([timer()], at(8, 0, 10)), { misting: true, changesAt: at(8, 0, 30) });
+            assert.deepStrictEqual(mistingState([timer()], at(8, 1)), { misting: false, changesAt: at(8, 2) });
+            assert.deepStrictEqual(mistingState([timer()], at(8, 2, 5)), { misting: true, changesAt: at(8, 2, 30) });
+        });
+
+        it('should not mist outside the window and wake at the next one', () => {
+            assert.deepStrictEqual(mistingState([timer()], at(7)), { misting: false, changesAt: at(8) });
+        });
+
+        it('should end the last burst with the window', () => {
+            const state = mistingState([timer({ run: 300, suspend: 0, stop: '08:02' })], at(8, 1));
+
+            assert.deepStrictEqual(state, { misting: true, changesAt: at(8, 2) });
+        });
+
+        it('should mist while any enabled timer is in a run phase', () => {
+            const timers = [timer({ status: 0, start: '07:00' }), timer(), timer({ start: '08:01', suspend: 30 })];
+
+            assert.deepStrictEqual(mistingState(timers, at(8, 1, 10)), { misting: true, changesAt: at(8, 1, 30) });
+            assert.strictEqual(mistingState(timers, at(7, 0, 10)).misting, false, 'Disabled timers are ignored');
+        });
+
+        it('should report no change time without usable timers', () => {
+            assert.deepStrictEqual(mistingState([timer({ start: '' }), timer({ run: 0 })], at(9)), { misting: false, changesAt: null });
+            assert.deepStrictEqual(mistingState(null, at(9)), { misting: false, changesAt: null });
+        });
+    });
+});
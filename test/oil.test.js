@@ -0,0 +1,116 @@
+const assert = require('assert');
+const OilHistory = require('../src/oil');
+const { dutyCycle, MAX_GAP_MS } = OilHistory;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Polls every 5 minutes; the diffuser is on for the first `onHours` of each day and uses
+// `perMistHour` percent per hour of misting. Returns the final level and time.
+function simulate(history, { start = 0, days, onHours = 8, duty = 0.5, perMistHour = 1, level = 100 }) {
+    let used = 0;
+    let at = start;
+    for (; at < start + days * DAY; at += 5 * MINUTE) {
+        const on = (at - start) % DAY < onHours * HOUR;
+        history.record(Math.ceil(level - used), { on, duty }, at);
+        if (on) {
+            used += (5 / 60) * duty * perMistHour;
+        }
+    }
+    return { level: Math.ceil(level - used), at };
+}
+
+describe('OilHistory', () => {
+    it('should only add a sample when the level drops', () => {
+        const history = new OilHistory();
+
+        assert.strictEqual(history.record(80, { on: true }, 0), true);
+        assert.strictEqual(history.record(80, { on: true }, 5 * MINUTE), false);
+        assert.strictEqual(history.record(82, { on: true }, 10 * MINUTE), false, 'Small rises are noise');
+        assert.strictEqual(history.record(79, { on: true }, 15 * MINUTE), true);
+        assert.strictEqual(history.samples.length, 2);
+        assert.strictEqual(history.samples[0].reset, true, 'The first sample of a run starts counting');
+    });
+
+    it('should count on-time and misting time between polls', () => {
+        const history = new OilHistory();
+
+        history.record(80, { on: true, duty: 0.25 }, 0);
+        history.record(80, { on: false, duty: 0.25 }, HOUR / 2);
+        history.record(79, { on: false, duty: 0.25 }, HOUR);
+
+        assert.deepStrictEqual(history.latest, { at: HOUR, level: 79, onHours: 0.5, mistHours: 0.125 });
+    });
+
+    it('should start counting again after a refill or a gap between polls', () => {
+        const history = new OilHistory();
+
+        history.record(30, { on: true }, 0);
+        history.record(90, { on: true }, 5 * MINUTE);
+        history.record(85, { on: true }, 10 * MINUTE + MAX_GAP_MS);
+
+        assert.deepStrictEqual(history.samples.map(sample => sample.reset === true), [true, true, true]);
+        assert.strictEqual(history.totals().drop, 0, 'The refill and the gap are left out of the rate');
+    });
+
+    it('should not estimate until enough oil has been used', () => {
+        const history = new OilHistory();
+
+        simulate(history, { days: 0.5 });
+
+        assert.strictEqual(history.rate(), null);
+        assert.strictEqual(history.daysRemaining(50, 0.5), null);
+    });
+
+    it('should estimate days remaining from the consumption rate and usual on-time', () => {
+        const history = new OilHistory();
+        const { level } = simulate(history, { days: 4, onHours: 8, duty: 0.5, perMistHour: 1 });
+
+        const rate = history.rate();
+        assert.ok(Math.abs(rate.perMistHour - 1) < 0.05, `perMistHour ${rate.perMistHour}`);
+        // 8 on-hours at half duty use 4% a day.
+        const days = history.daysRemaining(level, 0.5);
+        assert.ok(Math.abs(days - level / 4) < level / 4 * 0.05, `days ${days}`);
+    });
+
+    it('should follow a change of duty cycle straight away', () => {
+        const history = new OilHistory();
+        const { level } = simulate(history, { days: 4, duty: 0.5 });
+
+        const current = history.daysRemaining(level, 0.5);
+        const halved = history.daysRemaining(level, 0.25);
+
+        assert.ok(Math.abs(halved - current * 2) < 0.01);
+        assert.ok(Math.abs(history.daysRemaining(level) - current) < current * 0.05, 'Without a duty cycle the average is used');
+    });
+
+    it('should merge saved samples older than this run', () => {
+        const saved = new OilHistory();
+        simulate(saved, { start: Date.now() - 5 * DAY, days: 4 });
+        const stored = JSON.parse(JSON.stringify(saved));
+
+        const history = new OilHistory();
+        history.record(40, { on: true }, Date.now());
+        history.restore(stored.concat([{ at: 'bad' }]));
+
+        assert.strictEqual(history.samples.length, stored.length + 1);
+        assert.strictEqual(history.latest.level, 40);
+        assert.ok(history.rate(), 'The saved samples count toward the rate');
+    });
+
+    it('should drop samples older than 30 days', () => {
+        const history = new OilHistory([{ at: Date.now() - 31 * DAY, level: 90, onHours: 0, mistHours: 0 }]);
+
+        assert.strictEqual(history.samples.length, 0);
+    });
+});
+
+describe('dutyCycle()', () => {
+    it('should need both run and suspend', () => {
+        assert.strictEqual(dutyCycle({ run: 30, suspend: 90 }), 0.25);
+        assert.strictEqual(dutyCycle({ run: 30 }), null);
+        assert.strictEqual(dutyCycle({ run: 0, suspend: 90 }), null);
+        assert.strictEqual(dutyCycle(null), null);
+    });
+});
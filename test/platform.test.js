@@ -1,8 +1,18 @@
 const assert = require('assert');
 const sinon = require('sinon');
 const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const { EventEmitter } = require('events');
 const DiffuserPlatform = require('../src/platform');
 const AuthClient = require('../src/auth');
+const os = require('os');
+const path = require('path');
+const {
+    AuthenticationError, InvalidCredentialsError, AccountLockedError, CaptchaRequiredError, LoginBlockedError, ServerError, ParseError
+} = require('../src/errors');
+const SessionStore = require('../src/store');
+const Session = require('../src/session');
 
 describe('DiffuserPlatform (Platinum Standard)', () => {
     let platform;
@@ -33,6 +43,7 @@ describe('DiffuserPlatform (Platinum Standard)', () => {
                     this.UUID = uuid;
                     this.displayName = name;
                     this.context = {};
+                    this.services = [];
                 }
                 getService(type) {
                     if (type === 'AccessoryInformation') {
@@ -42,6 +53,9 @@ describe('DiffuserPlatform (Platinum Standard)', () => {
                     }
                     return null;
                 }
+                getServiceById() {
+                    return null;
+                }
                 addService() {
                     return {
                         getCharacteristic: sinon.stub().returns({
@@ -50,11 +64,13 @@ describe('DiffuserPlatform (Platinum Standard)', () => {
                         }),
                         testCharacteristic: sinon.stub().returns(false),
                         addCharacteristic: sinon.stub(),
-                        setCharacteristic: sinon.stub().returnsThis()
+                        setCharacteristic: sinon.stub().returnsThis(),
+                        updateCharacteristic: sinon.stub()
                     };
                 }
             },
             registerPlatformAccessories: sinon.stub(),
+            unregisterPlatformAccessories: sinon.stub(),
             updatePlatformAccessories: sinon.stub()
         };
         platform = new DiffuserPlatform(mockLog, mockConfig, mockApi);
@@ -67,7 +83,51 @@ describe('DiffuserPlatform (Platinum Standard)', () => {
     describe('Startup & Auto-Discovery', () => {
         it('should correctly register the "didFinishLaunching" handler', () => {
             // Assert
-            assert.ok(mockApi.on.calledOnceWith('didFinishLaunching'));
+            assert.ok(mockApi.on.firstCall.calledWith('didFinishLaunching'));
+            assert.strictEqual(mockApi.on.withArgs('didFinishLaunching').callCount, 1);
+        });
+
+        it('should stop the polling scheduler on shutdown', () => {
+            const stopStub = sinon.stub(platform.poller, 'stop');
+            const handler = mockApi.on.withArgs('shutdown').firstCall.args[1];
+
+            handler();
+
+            assert.ok(stopStub.calledOnce);
+        });
+
+        it('should dispose every diffuser on shutdown', () => {
+            const diffusers = [{ dispose: sinon.stub() }, { dispose: sinon.stub() }];
+            diffusers.forEach((diffuser, i) => platform.diffusers.set(String(i), diffuser));
+            const handler = mockApi.on.withArgs('shutdown').firstCall.args[1];
+
+            handler();
+
+            diffusers.forEach(diffuser => assert.ok(diffuser.dispose.calledOnce));
+        });
+
+        it('should configure the polling scheduler from config seconds', () => {
+            const p = new DiffuserPlatform(mockLog, { ...mockConfig, pollInterval: 60, fastPollInterval: 2 }, mockApi);
+            assert.strictEqual(p.poller.options.interval, 60000);
+            assert.strictEqual(p.poller.options.fastInterval, 2000);
+            assert.strictEqual(p.poller.options.maxBackoff, 600000, 'Unset options keep defaults');
+        });
+
+        it('should load the CA file and warn when certificate checks are off', () => {
+            sinon.stub(fs, 'readFileSync').withArgs('/ca.pem', 'utf8').returns('PEM');
+
+            const p = new DiffuserPlatform(mockLog, { ...mockConfig, protocol: 'https', caFile: '/ca.pem', rejectUnauthorized: false }, mockApi);
+
+            assert.deepStrictEqual(p.tls, { protocol: 'https', ca: 'PEM', rejectUnauthorized: false });
+            assert.ok(mockLog.warn.calledWithMatch(/certificate verification is disabled/));
+            assert.strictEqual(p.createAuthClient().client.tls.ca, 'PEM');
+        });
+
+        it('should log an unreadable CA file and carry on', () => {
+            const p = new DiffuserPlatform(mockLog, { ...mockConfig, caFile: `/missing-${crypto.randomUUID()}.pem` }, mockApi);
+
+            assert.strictEqual(p.tls.ca, undefined);
+            assert.ok(mockLog.error.calledWithMatch(/Could not read caFile/));
         });
 
         it('should trigger Auto-Discovery when didFinishLaunching fires', () => {
@@ -132,7 +192,7 @@ describe('DiffuserPlatform (Platinum Standard)', () => {
 
             const addedConfig = addAccessoryStub.firstCall.args[0];
             assert.strictEqual(addedConfig.nid, uniqueNid);
-            assert.strictEqual(addedConfig.token, uniqueToken);
+            assert.strictEqual(addedConfig.session.token, uniqueToken);
         });
 
         it('should log error if Auto-Discovery fails', async () => {
@@ -160,6 +220,536 @@ describe('DiffuserPlatform (Platinum Standard)', () => {
         });
     });
 
+    describe('Startup Resilience', () => {
+        const cachedWithDevice = (nid) => {
+            const accessory = new mockApi.platformAccessory('Cached Diffuser', `uuid-${nid}`);
+            accessory.context.device = { nid, hsn: 'HSN1' };
+            return accessory;
+        };
+
+        it('should retry discovery with backoff until it succeeds', async () => {
+            const clock = sinon.useFakeTimers();
+            const getCredsStub = sinon.stub(AuthClient.prototype, 'getCredentials');
+            getCredsStub.onFirstCall().rejects(new Error('connect ETIMEDOUT'));
+            getCredsStub.onSecondCall().rejects(new Error('HTTP 503'));
+            getCredsStub.onThirdCall().resolves({ token: 't', uid: 'u', sessionId: 's', devices: [{ nid: '1' }] });
+            const addAccessoryStub = sinon.stub(platform, 'addAccessory');
+
+            await platform.autoDiscover();
+            assert.ok(mockLog.warn.calledWithMatch(/Retrying auto-discovery in 30s/));
+
+            await clock.tickAsync(30 * 1000);
+            assert.ok(mockLog.warn.calledWithMatch(/Retrying auto-discovery in 60s/));
+
+            await clock.tickAsync(60 * 1000);
+            assert.strictEqual(getCredsStub.callCount, 3);
+            assert.ok(addAccessoryStub.calledOnce);
+            assert.strictEqual(platform.discoveryAttempts, 0);
+            assert.strictEqual(platform.discoveryTimer, null);
+        });
+
+        it('should not retry discovery with wrong credentials', async () => {
+            sinon.stub(AuthClient.prototype, 'getCredentials').rejects(new AuthenticationError('Invalid Credentials'));
+
+            await platform.autoDiscover();
+
+            assert.strictEqual(platform.discoveryTimer, null);
+        });
+
+        it('should cancel a pending discovery retry on shutdown', async () => {
+            sinon.stub(AuthClient.prototype, 'getCredentials').rejects(new Error('offline'));
+            await platform.autoDiscover();
+            assert.ok(platform.discoveryTimer);
+
+            mockApi.on.withArgs('shutdown').firstCall.args[1]();
+
+            assert.strictEqual(platform.discoveryTimer, null);
+        });
+
+        it('should bind cached accessories as offline before discovery', () => {
+            sinon.stub(platform, 'autoDiscover').resolves();
+            platform.configureAccessory(cachedWithDevice('1'));
+            platform.configureAccessory(new mockApi.platformAccessory('Legacy', 'uuid-legacy'));
+
+            mockApi.on.withArgs('didFinishLaunching').firstCall.args[1]();
+
+            assert.strictEqual(platform.diffusers.size, 1, 'Accessories without device context are skipped');
+            const diffuser = platform.diffusers.get('1');
+            assert.strictEqual(diffuser.offline, true);
+            assert.strictEqual(diffuser.unreachable, true);
+            assert.strictEqual(diffuser.config.name, 'Cached Diffuser');
+        });
+
+        it('should not bind cached accessories of excluded devices', () => {
+            platform.config.devices = [{ id: 'HSN1', exclude: true }];
+            platform.configureAccessory(cachedWithDevice('1'));
+
+            platform.restoreCachedAccessories();
+
+            assert.strictEqual(platform.diffusers.size, 0);
+        });
+
+        it('should store the device on the accessory context', () => {
+            platform.addAccessory({ name: 'New', nid: '7', token: 't', uid: 'u', sessionId: 's' }, { nid: 7, hsn: 'H7', type: { typeCode: 'A1', extra: 1 } });
+
+            const accessory = mockApi.registerPlatformAccessories.firstCall.args[2][0];
+            assert.deepStrictEqual(JSON.parse(JSON.stringify(accessory.context.device)), { nid: '7', hsn: 'H7', type: { typeCode: 'A1' } });
+        });
+
+        it('should replace an offline handler once discovery succeeds', () => {
+            const cached = cachedWithDevice('1');
+            platform.configureAccessory(cached);
+            platform.restoreCachedAccessories();
+            mockApi.updatePlatformAccessories.resetHistory();
+
+            platform.discoverDevices([{ nid: 1, hsn: 'HSN1' }], { token: 't', uid: 'u', sessionId: 's' });
+
+            assert.strictEqual(platform.diffusers.get('1').offline, false);
+            assert.ok(mockApi.updatePlatformAccessories.calledOnceWith([cached]), 'Name and context changes are saved in one update');
+        });
+    });
+
+    describe('Proactive Session Refresh', () => {
+        const HOUR = 60 * 60 * 1000;
+        let clock;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers({ now: 10 * HOUR });
+        });
+
+        it('should refresh in the background once the session reaches its maximum age', async () => {
+            const getCredsStub = sinon.stub(AuthClient.prototype, 'getCredentials').resolves({ token: 't2', uid: 'u', sessionId: 's2', cookies: [] });
+            platform.session = new Session({ token: 't1', uid: 'u', sessionId: 's1', issuedAt: Date.now() });
+
+            platform.scheduleSessionRefresh();
+            await clock.tickAsync(12 * HOUR - 1);
+            assert.ok(getCredsStub.notCalled);
+
+            await clock.tickAsync(1);
+            assert.ok(getCredsStub.calledOnce);
+            assert.strictEqual(platform.session.token, 't2');
+            assert.strictEqual(platform.session.issuedAt, Date.now());
+            assert.ok(platform.sessionTimer, 'The next refresh is scheduled');
+        });
+
+        it('should follow the expiry from the login cookies and sessionRefreshHours', () => {
+            platform = new DiffuserPlatform(mockLog, { ...mockConfig, sessionRefreshHours: 2 }, mockApi);
+            platform.session = new Session({ issuedAt: Date.now() });
+            assert.strictEqual(platform.session.refreshAt(platform.sessionMaxAge), Date.now() + 2 * HOUR);
+
+            platform.session.update({ expiresAt: Date.now() + HOUR });
+            assert.strictEqual(platform.session.refreshAt(platform.sessionMaxAge), Date.now() + 54 * 60 * 1000, 'A tenth of the hour-long session');
+        });
+
+        it('should retry a failed background refresh without surfacing it', async () => {
+            const getCredsStub = sinon.stub(AuthClient.prototype, 'getCredentials');
+            getCredsStub.onFirstCall().rejects(new Error('HTTP 503'));
+            getCredsStub.onSecondCall().resolves({ token: 't2', uid: 'u', sessionId: 's2', cookies: [] });
+            platform.session = new Session({ token: 't1', issuedAt: Date.now() - 13 * HOUR });
+
+            platform.scheduleSessionRefresh();
+            await clock.tickAsync(0);
+            assert.ok(mockLog.warn.calledWithMatch(/Background session refresh failed; retrying in 5 minutes/));
+
+            await clock.tickAsync(5 * 60 * 1000);
+            assert.strictEqual(getCredsStub.callCount, 2);
+            assert.strictEqual(platform.session.token, 't2');
+        });
+
+        it('should update the shared session object in place', async () => {
+            sinon.stub(AuthClient.prototype, 'getCredentials').resolves({ token: 't2', uid: 'u', sessionId: 's2', cookies: [] });
+            const shared = new Session({ token: 't1', uid: 'u', sessionId: 's1' });
+            platform.session = shared;
+
+            await platform.refreshSession();
+
+            assert.strictEqual(platform.session, shared);
+            assert.strictEqual(shared.sessionId, 's2');
+        });
+
+        it('should hand every accessory the same session object', () => {
+            const addAccessoryStub = sinon.stub(platform, 'addAccessory');
+            const shared = new Session({ token: 't', uid: 'u', sessionId: 's' });
+
+            platform.discoverDevices([{ nid: '1' }, { nid: '2' }], shared);
+
+            assert.strictEqual(addAccessoryStub.firstCall.args[0].session, shared);
+            assert.strictEqual(addAccessoryStub.secondCall.args[0].session, shared);
+            assert.strictEqual(addAccessoryStub.firstCall.args[0].token, undefined, 'No per-accessory copy of the token');
+        });
+
+        it('should stop refreshing on shutdown', () => {
+            platform.session = new Session({ token: 't' });
+            platform.scheduleSessionRefresh();
+
+            mockApi.on.withArgs('shutdown').firstCall.args[1]();
+            platform.scheduleSessionRefresh();
+
+            assert.strictEqual(platform.sessionTimer, null);
+        });
+    });
+
+    describe('Shared Session Across Accessories', () => {
+        const DEVICES = 5;
+        let validToken;
+        let logins;
+        let held;
+        let holdNid;
+
+        const flush = async () => {
+            for (let i = 0; i < 10; i++) {
+                await new Promise(resolve => setImmediate(resolve));
+            }
+        };
+
+        // Fake cloud: answers 200 for the current token and AuthenticationException otherwise.
+        // Requests for `holdNid` are parked in `held` until the test releases them.
+        beforeEach(async () => {
+            validToken = 't0';
+            logins = 0;
+            held = [];
+            holdNid = null;
+            sinon.stub(http, 'request').callsFake((options, callback) => {
+                const req = new EventEmitter();
+                req.write = sinon.stub();
+                req.end = () => {
+                    const token = /token=([^;]*)/.exec(options.headers.Cookie)[1];
+                    const body = JSON.stringify(token === validToken ? { status: '200', data: [] } : { status: 'AuthenticationException' });
+                    const respond = () => {
+                        const res = new EventEmitter();
+                        res.statusCode = 200;
+                        callback(res);
+                        res.emit('data', body);
+                        res.emit('end');
+                    };
+                    if (holdNid && options.path.includes(`nid=${holdNid}&`)) {
+                        held.push(respond);
+                    } else {
+                        setImmediate(respond);
+                    }
+                };
+                return req;
+            });
+            sinon.stub(AuthClient.prototype, 'getCredentials').callsFake(async () => {
+                logins++;
+                await new Promise(resolve => setImmediate(resolve));
+                validToken = `t${logins}`;
+                return { token: validToken, uid: 'u', sessionId: `s${logins}`, cookies: [] };
+            });
+            sinon.stub(platform.poller, 'add');
+
+            platform.session = new Session({ token: 't0', uid: 'u', sessionId: 's0' });
+            platform.discoverDevices(Array.from({ length: DEVICES }, (_, i) => ({ nid: `${i + 1}` })), platform.session);
+            await flush();
+        });
+
+        afterEach(() => {
+            mockApi.on.withArgs('shutdown').firstCall.args[1]();
+        });
+
+        const diffusers = () => [...platform.diffusers.values()];
+
+        it('should subscribe every accessory to session changes', () => {
+            assert.strictEqual(platform.listenerCount('sessionChanged'), DEVICES);
+        });
+
+        it('should log in once when all accessories hit an expired session together', async () => {
+            validToken = 'expired';
+
+            await Promise.all(diffusers().map(diffuser => diffuser.setOn(true)));
+
+            assert.strictEqual(logins, 1);
+            diffusers().forEach(diffuser => assert.strictEqual(diffuser.client.session.token, 't1'));
+        });
+
+        it('should log in once when accessories are used one after another', async () => {
+            validToken = 'expired';
+
+            for (const diffuser of diffusers()) {
+                await diffuser.setOn(true);
+            }
+
+            assert.strictEqual(logins, 1);
+        });
+
+        it('should not log in again for a request that was in flight during the refresh', async () => {
+            const [first, second] = diffusers();
+            validToken = 'expired';
+            holdNid = second.nid;
+
+            const pending = second.setOn(true);
+            await flush();
+            await first.setOn(true);
+            assert.strictEqual(logins, 1);
+
+            holdNid = null;
+            held.forEach(respond => respond());
+            await pending;
+
+            assert.strictEqual(logins, 1, 'The stale response is retried with the new token');
+        });
+
+        it('should log in once per expiry', async () => {
+            for (let expiry = 1; expiry <= 3; expiry++) {
+                validToken = 'expired';
+                await Promise.all(diffusers().map(diffuser => diffuser.setOn(true)));
+                assert.strictEqual(logins, expiry);
+            }
+        });
+
+        it('should move accessories onto a replacement session', () => {
+            const replacement = new Session({ token: 'other' });
+            platform.emit('sessionChanged', replacement);
+
+            diffusers().forEach(diffuser => assert.strictEqual(diffuser.client.session, replacement));
+        });
+
+        it('should unsubscribe handlers that are replaced or removed', () => {
+            platform.addAccessory(platform.buildDeviceConfig({ nid: '1' }, platform.session), { nid: '1' });
+            assert.strictEqual(platform.listenerCount('sessionChanged'), DEVICES);
+
+            platform.discoverDevices([{ nid: '1' }], platform.session);
+            assert.strictEqual(platform.listenerCount('sessionChanged'), 1, 'Devices gone from the account are detached');
+        });
+    });
+
+    describe('Login Lockout Protection', () => {
+        let dir;
+        let getCredsStub;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lbslm-platform-'));
+            platform.sessionStore = new SessionStore(mockLog, dir);
+            getCredsStub = sinon.stub(AuthClient.prototype, 'getCredentials');
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('should stop logging in after repeated credential failures', async () => {
+            getCredsStub.rejects(new InvalidCredentialsError('Invalid Credentials'));
+
+            for (let i = 0; i < 3; i++) {
+                await assert.rejects(platform.login(), InvalidCredentialsError);
+            }
+            await assert.rejects(platform.login(), LoginBlockedError);
+
+            assert.strictEqual(getCredsStub.callCount, 3);
+            assert.ok(mockLog.error.calledWithMatch(/rejected the email or password \(1 of 3 attempts\)/));
+            assert.ok(mockLog.error.calledWithMatch(/Login disabled because the email or password was rejected 3 times/));
+        });
+
+        it('should reset the failure count after a successful login', async () => {
+            getCredsStub.rejects(new InvalidCredentialsError('Invalid Credentials'));
+            await assert.rejects(platform.login());
+            await assert.rejects(platform.login());
+            getCredsStub.resolves({ token: 't' });
+            await platform.login();
+
+            assert.strictEqual(platform.credentialFailures, 0);
+        });
+
+        it('should block immediately on a locked account or captcha, for this run only', async () => {
+            getCredsStub.rejects(new AccountLockedError('Account locked'));
+            await assert.rejects(platform.login(), AccountLockedError);
+            await assert.rejects(platform.login(), LoginBlockedError);
+            assert.ok(mockLog.error.calledWithMatch(/account is locked\. Unlock it in the UPerfume app/));
+            assert.strictEqual(fs.existsSync(platform.sessionStore.blockFile), false);
+
+            const other = new DiffuserPlatform(mockLog, mockConfig, mockApi);
+            other.sessionStore = new SessionStore(mockLog, dir);
+            getCredsStub.rejects(new CaptchaRequiredError('Captcha required'));
+            await assert.rejects(other.login(), CaptchaRequiredError);
+            await assert.rejects(other.login(), LoginBlockedError);
+        });
+
+        it('should not count server or network errors as credential failures', async () => {
+            getCredsStub.rejects(new ServerError('HTTP 503', { statusCode: 503 }));
+
+            for (let i = 0; i < 4; i++) {
+                await assert.rejects(platform.login(), ServerError);
+            }
+            assert.strictEqual(platform.loginBlock, null);
+        });
+
+        it('should keep a credential block across restarts until the login settings change', async () => {
+            mockConfig.password = 'hunter2-secret';
+            platform = new DiffuserPlatform(mockLog, mockConfig, mockApi);
+            platform.sessionStore = new SessionStore(mockLog, dir);
+            getCredsStub.rejects(new InvalidCredentialsError('Invalid Credentials'));
+            for (let i = 0; i < 3; i++) {
+                await assert.rejects(platform.login(), InvalidCredentialsError);
+            }
+            const saved = fs.readFileSync(platform.sessionStore.blockFile, 'utf8');
+            assert.ok(!saved.includes('hunter2-secret'), 'The password is not stored');
+
+            const restarted = new DiffuserPlatform(mockLog, mockConfig, mockApi);
+            restarted.sessionStore = new SessionStore(mockLog, dir);
+            await assert.rejects(restarted.login(), LoginBlockedError);
+            assert.strictEqual(getCredsStub.callCount, 3);
+
+            const fixed = new DiffuserPlatform(mockLog, { ...mockConfig, password: 'new-password' }, mockApi);
+            fixed.sessionStore = new SessionStore(mockLog, dir);
+            getCredsStub.resolves({ token: 't' });
+            await fixed.login();
+            assert.ok(mockLog.info.calledWithMatch(/Login settings changed/));
+            assert.strictEqual(fs.existsSync(fixed.sessionStore.blockFile), false);
+        });
+
+        it('should not retry discovery or background refresh once blocked', async () => {
+            getCredsStub.rejects(new AccountLockedError('Account locked'));
+            await platform.autoDiscover();
+            assert.strictEqual(platform.discoveryTimer, null);
+
+            platform.session = new Session({ token: 't', issuedAt: 0 });
+            await platform.refreshSessionAhead();
+            assert.strictEqual(platform.sessionTimer, null);
+            assert.ok(mockLog.warn.neverCalledWithMatch(/Background session refresh failed/));
+        });
+    });
+
+    describe('Device Records', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lbslm-oil-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('should keep device records whenever there is a storage path', () => {
+            const api = { ...mockApi, user: { storagePath: () => dir } };
+
+            assert.ok(new DiffuserPlatform(mockLog, { ...mockConfig, persistSession: false }, api).deviceStore);
+            assert.strictEqual(platform.deviceStore, null);
+        });
+
+        it('should do nothing without storage', async () => {
+            assert.deepStrictEqual(await platform.loadDeviceRecords('oil', '1'), []);
+            await platform.saveDeviceRecords('oil', '1', [{ at: 1, level: 50 }]);
+        });
+
+        it('should save every device without losing concurrent writes', async () => {
+            const api = { ...mockApi, user: { storagePath: () => dir } };
+            const first = new DiffuserPlatform(mockLog, mockConfig, api);
+
+            await Promise.all([
+                first.saveDeviceRecords('oil', '1', [{ at: 1, level: 50 }]),
+                first.saveDeviceRecords('oil', '2', [{ at: 2, level: 70 }])
+            ]);
+
+            const restarted = new DiffuserPlatform(mockLog, mockConfig, api);
+            const loadSpy = sinon.spy(restarted.deviceStore, 'loadDeviceRecords');
+            assert.deepStrictEqual(await restarted.loadDeviceRecords('oil', '1'), [{ at: 1, level: 50 }]);
+            assert.deepStrictEqual(await restarted.loadDeviceRecords('oil', '2'), [{ at: 2, level: 70 }]);
+            assert.deepStrictEqual(await restarted.loadDeviceRecords('oil', '3'), []);
+            assert.ok(loadSpy.calledOnce, 'The file is read once');
+        });
+    });
+
+    describe('Saved Session', () => {
+        const stored = {
+            session: { token: 'saved-token', uid: 'u', sessionId: 's', cookies: ['JSESSIONID=abc'], host: 'amos.cn.lbslm.com', port: 80 },
+            devices: [{ nid: '1', nickname: 'Saved' }],
+            savedAt: Date.now()
+        };
+        let store;
+
+        beforeEach(() => {
+            store = {
+                load: sinon.stub().resolves(stored),
+                save: sinon.stub().resolves(),
+                clear: sinon.stub().resolves(),
+                loadLoginBlock: sinon.stub().resolves(null)
+            };
+            platform.sessionStore = store;
+        });
+
+        it('should only keep a store when Homebridge provides a storage path', () => {
+            assert.strictEqual(platform.sessionStore, store);
+            const api = { ...mockApi, user: { storagePath: () => '/tmp' } };
+            assert.ok(new DiffuserPlatform(mockLog, mockConfig, api).sessionStore);
+            assert.strictEqual(new DiffuserPlatform(mockLog, { ...mockConfig, persistSession: false }, api).sessionStore, null);
+            assert.strictEqual(new DiffuserPlatform(mockLog, mockConfig, mockApi).sessionStore, null);
+        });
+
+        it('should resume an accepted session without logging in', async () => {
+            sinon.stub(AuthClient.prototype, 'validateSession').resolves({ recordsTotal: 1, data: [] });
+            const getCredsStub = sinon.stub(AuthClient.prototype, 'getCredentials');
+            const addAccessoryStub = sinon.stub(platform, 'addAccessory');
+
+            await platform.autoDiscover();
+
+            assert.ok(getCredsStub.notCalled);
+            assert.strictEqual(addAccessoryStub.firstCall.args[0].session.token, 'saved-token');
+            assert.strictEqual(platform.session.token, 'saved-token');
+        });
+
+        it('should re-read the device list when the device count changed', async () => {
+            sinon.stub(AuthClient.prototype, 'validateSession').resolves({ recordsTotal: 2, data: [] });
+            sinon.stub(AuthClient.prototype, 'fetchDevices').resolves([{ nid: '1' }, { nid: '2' }]);
+            const addAccessoryStub = sinon.stub(platform, 'addAccessory');
+
+            await platform.autoDiscover();
+
+            assert.strictEqual(addAccessoryStub.callCount, 2);
+            assert.deepStrictEqual(store.save.firstCall.args[2], [{ nid: '1' }, { nid: '2' }]);
+        });
+
+        it('should log in again and save when the saved session is rejected', async () => {
+            sinon.stub(AuthClient.prototype, 'validateSession').resolves(null);
+            sinon.stub(AuthClient.prototype, 'getCredentials').resolves({
+                token: 'new-token', uid: 'u', sessionId: 's2', cookies: ['c=2'], devices: [{ nid: '1' }]
+            });
+            const addAccessoryStub = sinon.stub(platform, 'addAccessory');
+
+            await platform.autoDiscover();
+
+            assert.ok(store.clear.calledOnce);
+            assert.strictEqual(addAccessoryStub.firstCall.args[0].session.token, 'new-token');
+            const [account, session, devices] = store.save.firstCall.args;
+            assert.ok(account.startsWith(mockConfig.email));
+            assert.strictEqual(session.token, 'new-token');
+            assert.deepStrictEqual(devices, [{ nid: '1' }]);
+        });
+
+        it('should use the saved session if the cloud cannot be reached to check it', async () => {
+            sinon.stub(AuthClient.prototype, 'validateSession').rejects(new Error('ETIMEDOUT'));
+            const getCredsStub = sinon.stub(AuthClient.prototype, 'getCredentials');
+            const addAccessoryStub = sinon.stub(platform, 'addAccessory');
+
+            await platform.autoDiscover();
+
+            assert.ok(getCredsStub.notCalled);
+            assert.ok(addAccessoryStub.calledOnce);
+            assert.ok(mockLog.warn.calledWithMatch(/Could not validate saved session/));
+        });
+
+        it('should not remove accessories from a saved list that was incomplete', async () => {
+            store.load.resolves({ ...stored, devices: Object.assign([{ nid: '1' }], { incomplete: true }) });
+            sinon.stub(AuthClient.prototype, 'validateSession').rejects(new Error('ETIMEDOUT'));
+            sinon.stub(platform, 'addAccessory');
+            const removeStub = sinon.stub(platform, 'removeStaleAccessories');
+
+            await platform.autoDiscover();
+
+            assert.ok(removeStub.notCalled);
+        });
+
+        it('should save the session after a refresh', async () => {
+            sinon.stub(AuthClient.prototype, 'getCredentials').resolves({
+                token: 't2', uid: 'u', sessionId: 's2', cookies: ['c=2'], devices: [{ nid: '1' }]
+            });
+
+            await platform.refreshSession();
+
+            assert.strictEqual(store.save.firstCall.args[1].token, 't2');
+        });
+    });
+
     describe('addAccessory()', () => {
         it('should register a new accessory if it does not exist in cache', () => {
             // Arrange
@@ -185,6 +775,8 @@ describe('DiffuserPlatform (Platinum Standard)', () => {
                 UUID: `uuid-${uniqueNid}`,
                 displayName: 'Diffuser 1',
                 context: {},
+                services: [],
+                getServiceById: sinon.stub().returns(null),
                 getService: sinon.stub().callsFake((type) => {
                     if (type === 'AccessoryInformation') return { setCharacteristic: sinon.stub().returnsThis() };
                     return null;
@@ -206,6 +798,18 @@ describe('DiffuserPlatform (Platinum Standard)', () => {
             assert.ok(mockLog.info.calledWithMatch(/Restoring/), 'Should log restoration');
         });
 
+        it('should clear the missing mark when a device comes back', () => {
+            const uniqueNid = `nid-${crypto.randomUUID()}`;
+            const cachedAccessory = new mockApi.platformAccessory('Diffuser 1', `uuid-${uniqueNid}`);
+            cachedAccessory.context.missingSince = Date.now();
+            platform.accessories.push(cachedAccessory);
+
+            platform.addAccessory({ name: 'Diffuser 1', nid: uniqueNid, token: 't', uid: 'u', sessionId: 's' });
+
+            assert.strictEqual(cachedAccessory.context.missingSince, undefined);
+            assert.ok(mockApi.updatePlatformAccessories.calledWith([cachedAccessory]));
+        });
+
         it('should update accessory name if changed', () => {
             // Arrange
             const uniqueNid = `nid-${crypto.randomUUID()}`;
@@ -215,6 +819,8 @@ describe('DiffuserPlatform (Platinum Standard)', () => {
                 UUID: `uuid-${uniqueNid}`,
                 displayName: 'Old Name',
                 context: {},
+                services: [],
+                getServiceById: sinon.stub().returns(null),
                 getService: sinon.stub().callsFake((type) => {
                     if (type === 'AccessoryInformation') return { setCharacteristic: sinon.stub().returnsThis() };
                     return null;
@@ -296,6 +902,63 @@ describe('DiffuserPlatform (Platinum Standard)', () => {
             assert.strictEqual(addAccessoryStub.secondCall.args[0].model, 'Smart Diffuser');
         });
 
+        it('should pass only the schedules that apply to each device', () => {
+            const addAccessoryStub = sinon.stub(platform, 'addAccessory');
+            platform.config.schedules = [
+                { name: 'All Devices' },
+                { name: 'Only Two', nid: '2' }
+            ];
+
+            platform.discoverDevices([{ nid: 1 }, { nid: 2 }], { token: 't', uid: 'u', sessionId: 's' });
+
+            assert.deepStrictEqual(addAccessoryStub.firstCall.args[0].schedules.map(s => s.name), ['All Devices']);
+            assert.deepStrictEqual(addAccessoryStub.secondCall.args[0].schedules.map(s => s.name), ['All Devices', 'Only Two']);
+        });
+
+        it('should pass the login host and region through to each device', () => {
+            const addAccessoryStub = sinon.stub(platform, 'addAccessory');
+
+            platform.discoverDevices([{ nid: '1' }], { token: 't', uid: 'u', sessionId: 's', host: 'amos.cn.lbslm.com', port: 80 });
+
+            const deviceConfig = addAccessoryStub.firstCall.args[0];
+            assert.strictEqual(deviceConfig.host, 'amos.cn.lbslm.com');
+            assert.strictEqual(deviceConfig.region, 'CN');
+        });
+
+        it('should reuse the protocol an auto session settled on', () => {
+            const addAccessoryStub = sinon.stub(platform, 'addAccessory');
+            platform.config.protocol = 'auto';
+            platform.tls.protocol = 'auto';
+            platform.session = { protocol: 'https' };
+
+            platform.discoverDevices([{ nid: '1' }], { token: 't', uid: 'u', sessionId: 's', host: 'amos.cn.lbslm.com', port: 443, protocol: 'https' });
+
+            assert.strictEqual(addAccessoryStub.firstCall.args[0].protocol, 'https');
+            assert.strictEqual(platform.createAuthClient().protocol, 'https', 'Later logins skip the HTTPS probe');
+        });
+
+        it('should use the configured protocol over the one saved with the session', () => {
+            const addAccessoryStub = sinon.stub(platform, 'addAccessory');
+            platform.config.protocol = 'https';
+            platform.tls.protocol = 'https';
+            platform.session = { protocol: 'http' };
+
+            platform.discoverDevices([{ nid: '1' }], { token: 't', uid: 'u', sessionId: 's', host: 'amos.cn.lbslm.com', port: 443, protocol: 'http' });
+
+            assert.strictEqual(addAccessoryStub.firstCall.args[0].protocol, 'https');
+            assert.strictEqual(platform.createAuthClient().protocol, 'https');
+        });
+
+        it('should log how many devices were found versus registered', () => {
+            const creds = { token: 't', uid: 'u', sessionId: 's' };
+
+            platform.discoverDevices([{ nid: '1' }, { nid: '2' }], { ...creds, token: null });
+            assert.ok(mockLog.info.calledWith('Found 2 device(s) on account, registered 0.'));
+
+            platform.discoverDevices([{ nid: '1' }, { nid: '2' }], creds);
+            assert.ok(mockLog.info.calledWith('Found 2 device(s) on account, registered 2.'));
+        });
+
         it('should log error if provided empty device list', () => {
             platform.discoverDevices([], {});
             assert.ok(platform.log.error.calledWith('No devices found to register.'));
@@ -307,6 +970,231 @@ describe('DiffuserPlatform (Platinum Standard)', () => {
         });
     });
 
+    describe('Device Overrides', () => {
+        const creds = { token: 't', uid: 'u', sessionId: 's' };
+
+        it('should skip devices marked exclude by nid or hsn', () => {
+            const addAccessoryStub = sinon.stub(platform, 'addAccessory').returns({});
+            platform.config.devices = [{ id: '1', exclude: true }, { id: 'HSN-3', exclude: true }];
+
+            platform.discoverDevices([{ nid: 1 }, { nid: 2 }, { nid: 3, hsn: 'HSN-3' }], creds);
+
+            assert.strictEqual(addAccessoryStub.callCount, 1);
+            assert.strictEqual(addAccessoryStub.firstCall.args[0].nid, '2');
+            assert.ok(mockLog.info.calledWith('Found 3 device(s) on account, registered 1.'));
+        });
+
+        it('should remove a cached accessory once its device is excluded', () => {
+            sinon.stub(platform, 'addAccessory').returns({});
+            platform.accessories.push({ UUID: 'uuid-1', displayName: 'Neighbour', context: {} });
+            platform.config.devices = [{ id: '1', exclude: true }];
+
+            platform.discoverDevices([{ nid: 1 }, { nid: 2 }], creds);
+
+            assert.ok(mockApi.unregisterPlatformAccessories.calledOnce);
+        });
+
+        it('should apply name and service overrides', () => {
+            const addAccessoryStub = sinon.stub(platform, 'addAccessory').returns({});
+            platform.config.devices = [{
+                id: 'HSN-1', name: 'Lobby', lockControl: false, refillSwitch: false, oilSensor: true, lowOilThreshold: 25, pollInterval: 120
+            }];
+
+            platform.discoverDevices([{ nid: 1, hsn: 'HSN-1', nickname: 'Shared Name' }], creds);
+
+            const deviceConfig = addAccessoryStub.firstCall.args[0];
+            assert.strictEqual(deviceConfig.name, 'Lobby');
+            assert.strictEqual(deviceConfig.lockControl, false);
+            assert.strictEqual(deviceConfig.refillSwitch, false);
+            assert.strictEqual(deviceConfig.oilSensor, true);
+            assert.strictEqual(deviceConfig.lowOilThreshold, 25);
+            assert.strictEqual(deviceConfig.pollInterval, 120);
+        });
+
+        it('should let a device override the global service type', () => {
+            const addAccessoryStub = sinon.stub(platform, 'addAccessory').returns({});
+            platform.config.serviceType = 'airPurifier';
+            platform.config.devices = [{ id: '2', serviceType: 'lightbulb' }];
+
+            platform.discoverDevices([{ nid: 1 }, { nid: 2 }], creds);
+
+            assert.strictEqual(addAccessoryStub.firstCall.args[0].serviceType, 'airPurifier');
+            assert.strictEqual(addAccessoryStub.secondCall.args[0].serviceType, 'lightbulb');
+        });
+
+        it('should return no overrides for unlisted devices', () => {
+            platform.config.devices = [{ id: '9', name: 'Other' }];
+            assert.deepStrictEqual(platform.deviceOverrides({ nid: 1, hsn: 'X' }), {});
+        });
+    });
+
+    describe('pollAll()', () => {
+        const makeDiffuser = (nid, batchPolling = true) => ({
+            nid,
+            config: { batchPolling },
+            applyStatus: sinon.stub().returns([]),
+            pollStatus: sinon.stub().resolves(true),
+            refreshTimersIfStale: sinon.stub().resolves()
+        });
+
+        beforeEach(() => {
+            platform.session = { uid: 'u', cookies: ['token=t'] };
+        });
+
+        it('should refresh all batch devices from one list call', async () => {
+            const fetchStub = sinon.stub(AuthClient.prototype, 'fetchDevices').resolves([
+                { nid: 1, status: true, liquidLevel: 50, lockMark: false, run: 30 },
+                { nid: 2, status: false, liquidLevel: 20, lockMark: true, run: 60 }
+            ]);
+            const one = makeDiffuser('1');
+            const two = makeDiffuser('2');
+            platform.diffusers.set('1', one);
+            platform.diffusers.set('2', two);
+
+            assert.strictEqual(await platform.pollAll(), true);
+
+            assert.ok(fetchStub.calledOnceWith(['token=t'], 'u'));
+            assert.ok(one.applyStatus.calledOnceWith(sinon.match({ nid: 1 }), true));
+            assert.ok(two.applyStatus.calledOnceWith(sinon.match({ nid: 2 }), true));
+            assert.ok(one.pollStatus.notCalled);
+            assert.ok(two.pollStatus.notCalled);
+        });
+
+        it('should fall back to a device poll for missing rows or fields', async () => {
+            sinon.stub(AuthClient.prototype, 'fetchDevices').resolves([{ nid: 1, status: true }]);
+            const partial = makeDiffuser('1');
+            partial.applyStatus.returns(['run']);
+            const absent = makeDiffuser('2');
+            platform.diffusers.set('1', partial);
+            platform.diffusers.set('2', absent);
+
+            await platform.pollAll();
+
+            assert.ok(partial.pollStatus.calledOnce);
+            assert.ok(absent.pollStatus.calledOnce);
+            assert.ok(absent.applyStatus.notCalled);
+        });
+
+        it('should poll every device individually if the list call fails', async () => {
+            sinon.stub(AuthClient.prototype, 'fetchDevices').rejects(new Error('Failed to parse device list JSON'));
+            const one = makeDiffuser('1');
+            one.pollStatus.resolves(false);
+            platform.diffusers.set('1', one);
+
+            assert.strictEqual(await platform.pollAll(), false);
+            assert.ok(one.pollStatus.calledOnce);
+        });
+
+        it('should refresh the session when the list call returns the login page', async () => {
+            const fetchStub = sinon.stub(AuthClient.prototype, 'fetchDevices');
+            const refreshStub = sinon.stub(platform, 'refreshSession').resolves();
+            platform.diffusers.set('1', makeDiffuser('1'));
+
+            fetchStub.rejects(new ServerError('HTTP 502', { statusCode: 502 }));
+            await platform.pollAll();
+            assert.ok(refreshStub.notCalled, 'Cloud errors say nothing about the session');
+
+            fetchStub.rejects(new ParseError('Failed to parse device list JSON'));
+            await platform.pollAll();
+            assert.ok(refreshStub.calledOnce);
+        });
+
+        it('should skip devices that poll on their own', async () => {
+            sinon.stub(AuthClient.prototype, 'fetchDevices').resolves([]);
+            const own = makeDiffuser('1', false);
+            platform.diffusers.set('1', own);
+
+            await platform.pollAll();
+
+            assert.ok(own.pollStatus.notCalled);
+            assert.ok(own.refreshTimersIfStale.notCalled);
+        });
+
+        it('should schedule the batch job after discovery', () => {
+            const addStub = sinon.stub(platform.poller, 'add');
+            sinon.stub(platform, 'addAccessory').callsFake((deviceConfig) => {
+                platform.diffusers.set(deviceConfig.nid, { config: deviceConfig });
+                return {};
+            });
+
+            platform.discoverDevices([{ nid: 1 }], { token: 't', uid: 'u', sessionId: 's' });
+
+            assert.ok(addStub.calledWith('batch'));
+        });
+
+        it('should not batch devices with their own poll interval or when disabled', () => {
+            const addAccessoryStub = sinon.stub(platform, 'addAccessory').returns({});
+            platform.config.devices = [{ id: '1', pollInterval: 60 }];
+
+            platform.discoverDevices([{ nid: 1 }, { nid: 2 }], { token: 't', uid: 'u', sessionId: 's' });
+            assert.strictEqual(addAccessoryStub.firstCall.args[0].batchPolling, false);
+            assert.strictEqual(addAccessoryStub.secondCall.args[0].batchPolling, true);
+
+            const p = new DiffuserPlatform(mockLog, { ...mockConfig, batchPolling: false }, mockApi);
+            assert.strictEqual(p.batchPolling, false);
+        });
+    });
+
+    describe('removeStaleAccessories()', () => {
+        const creds = { token: 't', uid: 'u', sessionId: 's' };
+
+        beforeEach(() => {
+            sinon.stub(platform, 'addAccessory').returns({});
+            platform.accessories.push(
+                { UUID: 'uuid-1', displayName: 'Kept', context: {} },
+                { UUID: 'uuid-2', displayName: 'Sold', context: {} }
+            );
+        });
+
+        it('should unregister cached accessories missing from the device list', () => {
+            platform.discoverDevices([{ nid: '1' }], creds);
+
+            assert.ok(mockApi.unregisterPlatformAccessories.calledOnce);
+            const removed = mockApi.unregisterPlatformAccessories.firstCall.args[2];
+            assert.deepStrictEqual(removed.map(a => a.displayName), ['Sold']);
+            assert.deepStrictEqual(platform.accessories.map(a => a.displayName), ['Kept']);
+        });
+
+        it('should never remove anything on an empty device list', () => {
+            platform.discoverDevices([], creds);
+            assert.ok(mockApi.unregisterPlatformAccessories.notCalled);
+            assert.strictEqual(platform.accessories.length, 2);
+        });
+
+        it('should not remove anything on an incomplete device list', () => {
+            const partial = Object.assign([{ nid: '1' }], { incomplete: true });
+
+            platform.discoverDevices(partial, creds);
+
+            assert.ok(mockApi.unregisterPlatformAccessories.notCalled);
+            assert.strictEqual(platform.accessories.length, 2);
+            assert.strictEqual(platform.accessories[1].context.missingSince, undefined, 'The grace period does not start either');
+            assert.ok(mockLog.warn.calledWithMatch(/incomplete device list/));
+        });
+
+        it('should keep everything when removeStaleAccessories is false', () => {
+            platform.config.removeStaleAccessories = false;
+            platform.discoverDevices([{ nid: '1' }], creds);
+            assert.ok(mockApi.unregisterPlatformAccessories.notCalled);
+        });
+
+        it('should wait out the grace period before removing', () => {
+            const clock = sinon.useFakeTimers(Date.now());
+            platform.config.staleAccessoryGraceHours = 2;
+
+            platform.discoverDevices([{ nid: '1' }], creds);
+            assert.ok(mockApi.unregisterPlatformAccessories.notCalled);
+            assert.ok(platform.accessories[1].context.missingSince, 'Missing device should be marked');
+            assert.ok(mockApi.updatePlatformAccessories.calledWith([platform.accessories[1]]), 'Mark should be persisted');
+
+            clock.tick(2 * 60 * 60 * 1000);
+            platform.discoverDevices([{ nid: '1' }], creds);
+            assert.ok(mockApi.unregisterPlatformAccessories.calledOnce);
+
+            clock.restore();
+        });
+    });
+
     describe('refreshSession()', () => {
         it('should deduplicate concurrent refresh requests (Identity Check)', async () => {
             // Arrange
@@ -0,0 +1,121 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const Poller = require('../src/poller');
+
+describe('Poller', () => {
+    let clock;
+    let poller;
+    let mockLog;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers();
+        sinon.stub(Math, 'random').returns(0.5); // No jitter
+        mockLog = { info: sinon.stub(), error: sinon.stub(), warn: sinon.stub(), debug: sinon.stub() };
+        poller = new Poller(mockLog, { interval: 30000, fastInterval: 5000, fastWindow: 20000, maxBackoff: 120000 });
+    });
+
+    afterEach(() => {
+        poller.stop();
+        clock.restore();
+        sinon.restore();
+    });
+
+    it('should run a job on its interval', async () => {
+        const task = sinon.stub().resolves(true);
+        poller.add('a', task);
+
+        await clock.tickAsync(29999);
+        assert.ok(task.notCalled);
+        await clock.tickAsync(1);
+        assert.ok(task.calledOnce);
+        await clock.tickAsync(30000);
+        assert.ok(task.calledTwice);
+    });
+
+    it('should honour a per-job interval', async () => {
+        const task = sinon.stub().resolves(true);
+        poller.add('a', task, { interval: 60000 });
+
+        await clock.tickAsync(30000);
+        assert.ok(task.notCalled);
+        await clock.tickAsync(30000);
+        assert.ok(task.calledOnce);
+    });
+
+    it('should back off exponentially while a job fails and reset on success', async () => {
+        const task = sinon.stub().resolves(false);
+        poller.add('a', task);
+
+        await clock.tickAsync(30000); // 1st run fails
+        await clock.tickAsync(60000); // 2nd run after 2x
+        assert.strictEqual(task.callCount, 2);
+        await clock.tickAsync(119999); // 3rd run after 4x (capped at 120s)
+        assert.strictEqual(task.callCount, 2);
+        await clock.tickAsync(1);
+        assert.strictEqual(task.callCount, 3);
+        assert.ok(mockLog.warn.calledWithMatch(/keeps failing/));
+
+        task.resolves(true);
+        await clock.tickAsync(120000); // still capped
+        assert.strictEqual(task.callCount, 4);
+        await clock.tickAsync(30000); // back to normal
+        assert.strictEqual(task.callCount, 5);
+        assert.ok(mockLog.info.calledWithMatch(/recovered/));
+    });
+
+    it('should treat a throwing task as a failure', async () => {
+        const task = sinon.stub().rejects(new Error('boom'));
+        poller.add('a', task);
+
+        await clock.tickAsync(30000);
+        assert.strictEqual(poller.jobs.get('a').failures, 1);
+    });
+
+    it('should poll fast for a window after boost', async () => {
+        const task = sinon.stub().resolves(true);
+        poller.add('a', task);
+
+        poller.boost('a');
+        await clock.tickAsync(5000);
+        assert.strictEqual(task.callCount, 1);
+        await clock.tickAsync(5000);
+        assert.strictEqual(task.callCount, 2);
+
+        await clock.tickAsync(10000); // last fast run at 20s ends the window
+        assert.strictEqual(task.callCount, 4);
+        await clock.tickAsync(29999);
+        assert.strictEqual(task.callCount, 4, 'Back to the normal interval');
+        await clock.tickAsync(1);
+        assert.strictEqual(task.callCount, 5);
+    });
+
+    it('should spread jobs with jitter', () => {
+        Math.random.returns(0);
+        const job = poller.add('a', sinon.stub());
+        assert.strictEqual(poller.nextDelay(job), 27000);
+        Math.random.returns(1);
+        assert.strictEqual(poller.nextDelay(job), 33000);
+    });
+
+    it('should replace a job registered twice under the same id', async () => {
+        const first = sinon.stub().resolves(true);
+        const second = sinon.stub().resolves(true);
+        poller.add('a', first);
+        poller.add('a', second);
+
+        await clock.tickAsync(30000);
+        assert.ok(first.notCalled);
+        assert.ok(second.calledOnce);
+    });
+
+    it('should stop all jobs', async () => {
+        const task = sinon.stub().resolves(true);
+        poller.add('a', task);
+        poller.add('b', task);
+
+        poller.stop();
+        poller.boost('a');
+        await clock.tickAsync(120000);
+        assert.ok(task.notCalled);
+    });
+});
@@ -0,0 +1,71 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const Session = require('../src/session');
+const { cookieExpiry } = Session;
+
+describe('Session', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should update fields in place and ignore unknown ones', () => {
+        const session = new Session({ token: 't1', uid: 'u' });
+        const same = session.update({ token: 't2', password: 'secret' });
+
+        assert.strictEqual(same, session);
+        assert.strictEqual(session.token, 't2');
+        assert.strictEqual(session.uid, 'u');
+        assert.strictEqual(session.password, undefined);
+    });
+
+    it('should serialise only session fields', () => {
+        const session = new Session({ token: 't', issuedAt: 1000 });
+
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(session)), {
+            token: 't', uid: null, sessionId: null, cookies: null, issuedAt: 1000, expiresAt: null
+        });
+    });
+
+    describe('refreshAt()', () => {
+        it('should fall back to the maximum age without an expiry', () => {
+            const session = new Session({ issuedAt: 0 });
+
+            assert.strictEqual(session.refreshAt(), Session.DEFAULT_MAX_AGE);
+            assert.strictEqual(session.refreshAt(60000), 60000);
+        });
+
+        it('should refresh ten minutes before a known expiry', () => {
+            const session = new Session({ issuedAt: 0, expiresAt: 24 * 60 * 60 * 1000 });
+            assert.strictEqual(session.refreshAt(), 24 * 60 * 60 * 1000 - 10 * 60 * 1000);
+        });
+
+        it('should keep the margin within a tenth of a short session', () => {
+            const session = new Session({ issuedAt: 0, expiresAt: 10 * 60 * 1000 });
+            assert.strictEqual(session.refreshAt(), 9 * 60 * 1000);
+        });
+    });
+
+    describe('cookieExpiry()', () => {
+        const now = Date.parse('2026-01-01T00:00:00Z');
+
+        it('should return the earliest Expires or Max-Age', () => {
+            const expiry = cookieExpiry([
+                'JSESSIONID=abc; Path=/; HttpOnly',
+                'token=t; Expires=Fri, 02 Jan 2026 00:00:00 GMT; Path=/',
+                'uid=u; Max-Age=3600'
+            ], now);
+
+            assert.strictEqual(expiry, now + 3600 * 1000);
+        });
+
+        it('should prefer Max-Age over Expires on the same cookie', () => {
+            const expiry = cookieExpiry(['token=t; Expires=Fri, 02 Jan 2026 00:00:00 GMT; Max-Age=60'], now);
+            assert.strictEqual(expiry, now + 60 * 1000);
+        });
+
+        it('should return null for session cookies and ignore deleted ones', () => {
+            assert.strictEqual(cookieExpiry(['JSESSIONID=abc; Path=/', 'old=; Max-Age=0'], now), null);
+            assert.strictEqual(cookieExpiry(undefined, now), null);
+        });
+    });
+});
@@ -0,0 +1,117 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionStore = require('../src/store');
+
+describe('SessionStore', () => {
+    let dir;
+    let store;
+    let mockLog;
+
+    const account = SessionStore.accountKey('user@example.com', 'US');
+    const session = { token: 't', uid: 'u', sessionId: 's', cookies: ['JSESSIONID=abc'], host: 'amos.us.lbslm.com', port: 80 };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lbslm-store-'));
+        mockLog = { info: sinon.stub(), error: sinon.stub(), warn: sinon.stub(), debug: sinon.stub() };
+        store = new SessionStore(mockLog, dir);
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        sinon.restore();
+    });
+
+    it('should round-trip the session and device list', async () => {
+        await store.save(account, session, [{ nid: '1' }]);
+
+        const stored = await store.load(account);
+
+        assert.deepStrictEqual(stored.session, session);
+        assert.deepStrictEqual(stored.devices, [{ nid: '1' }]);
+        assert.ok(stored.savedAt > 0);
+        assert.strictEqual(stored.devices.incomplete, undefined);
+    });
+
+    it('should keep an incomplete device list marked as such', async () => {
+        const devices = [{ nid: '1' }];
+        devices.incomplete = true;
+        await store.save(account, session, devices);
+
+        const stored = await store.load(account);
+
+        assert.strictEqual(stored.devices.incomplete, true);
+    });
+
+    it('should restrict the file to its owner', async function () {
+        if (process.platform === 'win32') {
+            this.skip();
+        }
+        fs.writeFileSync(store.file, '{}', { mode: 0o644 });
+
+        await store.save(account, session, []);
+
+        assert.strictEqual(fs.statSync(store.file).mode & 0o777, 0o600);
+    });
+
+    it('should return null when nothing is saved', async () => {
+        assert.strictEqual(await store.load(account), null);
+        assert.ok(mockLog.warn.notCalled);
+    });
+
+    it('should ignore a session saved for another account or endpoint', async () => {
+        await store.save(account, session, []);
+
+        assert.strictEqual(await store.load(SessionStore.accountKey('other@example.com', 'US')), null);
+        assert.strictEqual(await store.load(SessionStore.accountKey('user@example.com', 'CN')), null);
+    });
+
+    it('should ignore a session saved with other transport settings', async () => {
+        await store.save(account, session, []);
+
+        assert.strictEqual(await store.load(SessionStore.accountKey('user@example.com', 'US', undefined, { protocol: 'https' })), null);
+        assert.strictEqual(await store.load(SessionStore.accountKey('user@example.com', 'US', undefined, { caFile: '/ca.pem' })), null);
+        assert.strictEqual(await store.load(SessionStore.accountKey('user@example.com', 'US', undefined, { rejectUnauthorized: false })), null);
+        assert.ok(await store.load(SessionStore.accountKey('user@example.com', 'US', undefined, { rejectUnauthorized: true })));
+    });
+
+    it('should ignore a corrupt file', async () => {
+        fs.writeFileSync(store.file, '{not json');
+
+        assert.strictEqual(await store.load(account), null);
+        assert.ok(mockLog.warn.calledWithMatch(/corrupt/));
+    });
+
+    it('should save, load and clear the login block separately from the session', async () => {
+        await store.save(account, session, []);
+        await store.saveLoginBlock({ reason: 'r', salt: 's', fingerprint: 'f' });
+
+        assert.deepStrictEqual(await store.loadLoginBlock(), { reason: 'r', salt: 's', fingerprint: 'f' });
+        assert.strictEqual(fs.statSync(store.blockFile).mode & 0o777, 0o600);
+
+        await store.clearLoginBlock();
+        assert.strictEqual(await store.loadLoginBlock(), null);
+        assert.ok(await store.load(account), 'The session is untouched');
+    });
+
+        it('should round-trip device records and read a missing or corrupt file as empty', async () => {
+        assert.deepStrictEqual(await store.loadDeviceRecords('oil'), {});
+
+        await store.saveDeviceRecords('oil', { 1: [{ at: 1, level: 50 }] });
+        assert.deepStrictEqual(await store.loadDeviceRecords('oil'), { 1: [{ at: 1, level: 50 }] });
+
+        fs.writeFileSync(store.deviceFiles.oil, '[]');
+        assert.deepStrictEqual(await store.loadDeviceRecords('oil'), {});
+    });
+
+        it('should delete the file on clear', async () => {
+        await store.save(account, session, []);
+        await store.clear();
+        await store.clear();
+
+        assert.strictEqual(fs.existsSync(store.file), false);
+        assert.ok(mockLog.warn.notCalled);
+    });
+});
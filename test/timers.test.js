@@ -0,0 +1,144 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const TimerManager = require('../src/timers');
+
+describe('TimerManager', () => {
+    let manager;
+    let callApi;
+    let mockLog;
+
+    const schedule = (overrides = {}) => ({
+        name: 'Morning', start: '08:00', stop: '10:00', mode: 1, run: 30, suspend: 120, ...overrides
+    });
+
+    beforeEach(() => {
+        mockLog = { info: sinon.stub(), error: sinon.stub(), warn: sinon.stub(), debug: sinon.stub() };
+        callApi = sinon.stub().resolves({ status: '200' });
+        manager = new TimerManager(mockLog, callApi);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('list()', () => {
+        it('should return the timer array from timerList.do', async () => {
+            callApi.withArgs('/timerList.do').resolves({ status: '200', data: [{ timerId: 1 }] });
+
+            const timers = await manager.list();
+
+            assert.deepStrictEqual(timers, [{ timerId: 1 }]);
+            assert.deepStrictEqual(callApi.firstCall.args[1], { isBluetooth: 0 });
+        });
+
+        it('should return an empty array if data is missing', async () => {
+            callApi.withArgs('/timerList.do').resolves({ status: '200' });
+            assert.deepStrictEqual(await manager.list(), []);
+        });
+    });
+
+    describe('create() / update() / remove()', () => {
+        it('should create a timer via addTimer.do', async () => {
+            await manager.create(schedule({ enabled: false }));
+
+            assert.ok(callApi.calledOnceWith('/addTimer.do', {
+                name: 'Morning', start: '08:00', stop: '10:00', mode: 1, run: 30, suspend: 120, status: 0
+            }));
+        });
+
+        it('should reject schedules with missing fields without calling the API', async () => {
+            await assert.rejects(manager.create({ name: 'Broken', start: '08:00' }), /missing: stop, mode, run, suspend/);
+            assert.ok(callApi.notCalled);
+        });
+
+        it('should send the full timer with overrides to updateTimer.do', async () => {
+            const timer = { timerId: 3, uid: 'u', name: 'Evening', start: '18:00', stop: '22:00', mode: 2, run: 30, suspend: 90, status: true };
+
+            await manager.update(timer, { run: 60 });
+
+            assert.deepStrictEqual(callApi.firstCall.args, ['/updateTimer.do', {
+                timerId: 3, uid: 'u', name: 'Evening', start: '18:00', stop: '22:00', mode: 2, run: 60, suspend: 90, status: 1
+            }]);
+        });
+
+        it('should delete a timer by id via deleteTimer.do', async () => {
+            await manager.remove({ timerId: 9, name: 'Old' });
+            assert.ok(callApi.calledOnceWith('/deleteTimer.do', { timerId: 9 }));
+        });
+    });
+
+    describe('reconcile()', () => {
+        it('should create schedules missing from the cloud', async () => {
+            callApi.withArgs('/timerList.do').resolves({ status: '200', data: [] });
+
+            const result = await manager.reconcile([schedule()]);
+
+            assert.strictEqual(result.created, 1);
+            assert.ok(callApi.calledWith('/addTimer.do'));
+        });
+
+        it('should update only timers whose fields differ', async () => {
+            callApi.withArgs('/timerList.do').resolves({
+                status: '200',
+                data: [
+                    { timerId: 1, name: 'Morning', start: '08:00', stop: '10:00', mode: '1', run: 30, suspend: 120 },
+                    { timerId: 2, name: 'Evening', start: '18:00', stop: '22:00', mode: 1, run: 30, suspend: 120 }
+                ]
+            });
+
+            const result = await manager.reconcile([
+                schedule(),
+                schedule({ name: 'Evening', start: '18:00', stop: '23:00' })
+            ]);
+
+            assert.deepStrictEqual(result, { created: 0, updated: 1, deleted: 0, failed: 0 });
+            const update = callApi.getCalls().find(c => c.args[0] === '/updateTimer.do');
+            assert.strictEqual(update.args[1].timerId, 2);
+            assert.strictEqual(update.args[1].stop, '23:00');
+        });
+
+        it('should compare times by value, as the cloud echoes them with seconds', async () => {
+            callApi.withArgs('/timerList.do').resolves({
+                status: '200',
+                data: [{ timerId: 1, name: 'Morning', start: '08:00:00', stop: '10:00:00', mode: 1, run: 30, suspend: 120 }]
+            });
+
+            const result = await manager.reconcile([schedule()]);
+
+            assert.strictEqual(result.updated, 0);
+            assert.ok(callApi.neverCalledWith('/updateTimer.do'));
+        });
+
+        it('should leave unlisted timers alone unless prune is set', async () => {
+            callApi.withArgs('/timerList.do').resolves({ status: '200', data: [{ timerId: 5, name: 'Manual' }] });
+
+            await manager.reconcile([]);
+            assert.ok(callApi.neverCalledWith('/deleteTimer.do'));
+
+            const result = await manager.reconcile([], { prune: true });
+            assert.strictEqual(result.deleted, 1);
+            assert.ok(callApi.calledWith('/deleteTimer.do', { timerId: 5 }));
+        });
+
+        it('should continue past a failing schedule and count it', async () => {
+            callApi.withArgs('/timerList.do').resolves({ status: '200', data: [] });
+            callApi.withArgs('/addTimer.do').onFirstCall().rejects(new Error('API returned status 500'));
+
+            const result = await manager.reconcile([schedule({ name: 'A' }), schedule({ name: 'B' })]);
+
+            assert.strictEqual(result.failed, 1);
+            assert.strictEqual(result.created, 1);
+            assert.ok(mockLog.error.calledWithMatch(/Failed to apply schedule "A"/));
+        });
+    });
+
+    describe('isEnabled()', () => {
+        it('should accept booleans and 0/1', () => {
+            assert.strictEqual(TimerManager.isEnabled({ status: true }), true);
+            assert.strictEqual(TimerManager.isEnabled({ status: '1' }), true);
+            assert.strictEqual(TimerManager.isEnabled({ status: 0 }), false);
+            assert.strictEqual(TimerManager.isEnabled({ status: false }), false);
+            assert.strictEqual(TimerManager.isEnabled({}), true, 'Timers without a flag are treated as enabled');
+        });
+    });
+});